@@ -0,0 +1,167 @@
+/**
+ * AccessLog class. Writes one JSON line for each request the proxy handles, separate from the QuickLogger log, so it
+ * can be fed to a log pipeline. The proxy starts a record when a request comes in and fills it in as the request is
+ * processed, the record is written once the response is done, however it ends.
+ *
+ * A record holds:
+ *   time            when the request came in, ISO 8601.
+ *   requestId       the id of the request, as in its X-Request-Id header and the log file.
+ *   client          the client IP address.
+ *   referrer        the Referer header, null when there is none.
+ *   method          the HTTP method.
+ *   serverUrl       the url of the serverUrls entry the request matched, null when it matched none.
+ *   target          the URL the request was forwarded to, without its token, null when it was not forwarded.
+ *   status          the HTTP status of the response, null when the client went away before it was sent.
+ *   bytesIn         the size of the request body.
+ *   bytesOut        the bytes sent to the client, headers included.
+ *   duration        milliseconds from the request coming in to the response being done.
+ *   upstreamLatency milliseconds waiting for the service to respond, added up over retries, null when not forwarded.
+ *   rateLimit       the rate limit decision: allowed, queued (allowed after waiting), rejected, exempt or error, null
+ *                   when the serverUrl is not rate limited.
+ *   tokenInjected   true when the proxy added a token to the request.
+ *   tokenRefreshed  true when the service rejected the token and the request was sent again with a new one.
+ *
+ * Lines are appended to the file through one write stream as each response is done, the proxy processes of a cluster
+ * can share the file. The proxy does not rotate the access log: once it is renamed, such as by logrotate, reopen()
+ * starts a new file. Secrets in a record, such as a password in the target query, are masked by SecretRedactor.
+ */
+
+const fs = require('fs');
+const SecretRedactor = require('./SecretRedactor');
+
+
+module.exports = function (fileName, logFunction) {
+    var accessLogFileName = fileName;
+    var accessLogStream = null;
+    var errorLoggingFunction = logFunction;
+
+    /**
+     * Internal logger so AccessLog doesn't have to know anything about how the app wants to handle logging.
+     * @param message {string}
+     */
+    function logMessage(message) {
+        if (errorLoggingFunction != null) {
+            errorLoggingFunction(message);
+        }
+    }
+
+    /**
+     * Get the write stream of the access log file, it is opened by name on the first write after it was closed. A
+     * stream that fails is dropped, the next write opens the file again.
+     * @returns {WriteStream}
+     */
+    function getLogStream() {
+        var logStream;
+
+        if (accessLogStream == null) {
+            logStream = fs.createWriteStream(accessLogFileName, {flags: 'a'});
+            logStream.on('error', function (error) {
+                if (accessLogStream === logStream) {
+                    accessLogStream = null;
+                }
+                logMessage('Error writing to access log file ' + accessLogFileName + ': ' + error.toString());
+            });
+            accessLogStream = logStream;
+        }
+        return accessLogStream;
+    }
+
+    /**
+     * Close the write stream of the access log file, the next record opens the file by name again. Records written
+     * before are still written to the file the stream had open.
+     * @returns {Promise} resolves once the records written before are in the file.
+     */
+    function closeLogStream() {
+        var logStream = accessLogStream;
+
+        accessLogStream = null;
+        return new Promise(function (resolvePromise) {
+            if (logStream == null || logStream.destroyed) {
+                resolvePromise();
+            } else {
+                logStream.end(function () {
+                    resolvePromise();
+                });
+            }
+        });
+    }
+
+    /**
+     * Append a record to the access log file, with its secrets masked.
+     * @param record {object}
+     */
+    function writeRecord(record) {
+        getLogStream().write(JSON.stringify(SecretRedactor.redactObject(record)) + '\n');
+    }
+
+    /**
+     * Start the record of a request and write it once the response is done.
+     * @param request {IncomingMessage} the request from the client.
+     * @param response {ServerResponse} the response to the client.
+     * @param clientAddress {string} the IP address of the client.
+     * @returns {object} the record, fill it in while the request is processed.
+     */
+    function startRecord(request, response, clientAddress) {
+        var startTime = new Date(),
+            socket = request.socket,
+            bytesWrittenBefore = socket != null ? socket.bytesWritten : 0,
+            contentLength = parseInt(request.headers['content-length'], 10),
+            record = {
+                time: startTime.toISOString(),
+                requestId: request.requestId || null,
+                client: clientAddress,
+                referrer: request.headers['referer'] || null,
+                method: request.method,
+                serverUrl: null,
+                target: null,
+                status: null,
+                bytesIn: isNaN(contentLength) ? 0 : contentLength,
+                bytesOut: 0,
+                duration: 0,
+                upstreamLatency: null,
+                rateLimit: null,
+                tokenInjected: false,
+                tokenRefreshed: false
+            };
+
+        response.once('close', function () {
+            record.status = response.headersSent ? response.statusCode : null;
+            record.bytesOut = socket != null ? socket.bytesWritten - bytesWrittenBefore : 0;
+            record.duration = new Date() - startTime;
+            writeRecord(record);
+        });
+        return record;
+    }
+
+    /**
+     * This is the public API:
+     */
+    return {
+        /**
+         * Start the record of a request, it is written to the access log once the response is done.
+         * @param request {IncomingMessage} the request from the client.
+         * @param response {ServerResponse} the response to the client.
+         * @param clientAddress {string} the IP address of the client.
+         * @returns {object} the record to fill in.
+         */
+        startRecord: function(request, response, clientAddress) {
+            return startRecord(request, response, clientAddress);
+        },
+
+        /**
+         * Start writing to a new access log file of the same name, such as after it was renamed by a log rotation.
+         * @returns {Promise} resolves once the records written so far are in the renamed file.
+         */
+        reopen: function() {
+            return closeLogStream();
+        },
+
+        /**
+         * Close the access log file, such as when shutting down. A record written after this opens it again.
+         * @returns {Promise} resolves once the records written so far are in the file.
+         */
+        close: function() {
+            return closeLogStream();
+        }
+    }
+};
@@ -0,0 +1,221 @@
+/**
+ * ConcurrencyLimiter class. Keeps count of the requests in flight to each serverUrl, in total and by referrer, so a
+ * serverUrl configured with maxConcurrent or maxConcurrentPerReferrer never has more requests waiting on the service
+ * than that. A request takes a slot before it is forwarded and gives it back once its response is done.
+ *
+ * A request that finds no free slot can wait up to maxConcurrentWait seconds for one. Waiting requests get the slots
+ * in the order they arrived, except that a request held back by its referrer limit does not hold up requests of
+ * other referrers.
+ *
+ * Counts are kept in memory only.
+ */
+
+module.exports = function (logFunction) {
+    var inFlight = {};
+    var waiting = {};
+    var infoLoggingFunction = logFunction;
+
+    /**
+     * Internal logger so ConcurrencyLimiter doesn't have to know anything about how the app wants to handle logging.
+     * @param message {string}
+     */
+    function logMessage(message) {
+        if (infoLoggingFunction != null) {
+            infoLoggingFunction(message);
+        }
+    }
+
+    /**
+     * Find the in flight counts of a serverUrl, starting them when it has none yet.
+     * @param url {string} the serverUrl url.
+     * @returns {object} {total, referrers} where referrers counts the requests of each referrer.
+     */
+    function getCounts(url) {
+        if (inFlight[url] === undefined) {
+            inFlight[url] = {
+                total: 0,
+                referrers: {}
+            };
+        }
+        return inFlight[url];
+    }
+
+    /**
+     * Determine if there is a free slot for a request.
+     * @param serverURLInfo {object} the serverUrl configuration, for its maxConcurrent and maxConcurrentPerReferrer.
+     * @param referrer {string} the referrer of the request.
+     * @returns {boolean}
+     */
+    function hasFreeSlot(serverURLInfo, referrer) {
+        var counts = getCounts(serverURLInfo.url);
+
+        if (serverURLInfo.maxConcurrent > 0 && counts.total >= serverURLInfo.maxConcurrent) {
+            return false;
+        }
+        return ! (serverURLInfo.maxConcurrentPerReferrer > 0 && (counts.referrers[referrer] || 0) >= serverURLInfo.maxConcurrentPerReferrer);
+    }
+
+    /**
+     * Take a slot for a request.
+     * @param url {string} the serverUrl url.
+     * @param referrer {string} the referrer of the request.
+     * @returns {function} gives the slot back, calling it more than once does no harm.
+     */
+    function takeSlot(url, referrer) {
+        var counts = getCounts(url),
+            isReleased = false;
+
+        counts.total ++;
+        counts.referrers[referrer] = (counts.referrers[referrer] || 0) + 1;
+        return function () {
+            if ( ! isReleased) {
+                isReleased = true;
+                releaseSlot(url, referrer);
+            }
+        };
+    }
+
+    /**
+     * Give a slot back and hand the free slots to the requests waiting for them.
+     * @param url {string} the serverUrl url.
+     * @param referrer {string} the referrer of the request.
+     */
+    function releaseSlot(url, referrer) {
+        var counts = inFlight[url];
+
+        if (counts === undefined) {
+            return; // cleared in the meantime
+        }
+        counts.total --;
+        counts.referrers[referrer] --;
+        if (counts.referrers[referrer] <= 0) {
+            delete counts.referrers[referrer];
+        }
+        grantWaitingRequests(url);
+        if (counts.total <= 0 && waiting[url] === undefined) {
+            delete inFlight[url];
+        }
+    }
+
+    /**
+     * Give a slot to each waiting request that fits, in the order they arrived.
+     * @param url {string} the serverUrl url.
+     */
+    function grantWaitingRequests(url) {
+        var waitingRequests = waiting[url],
+            waitingRequest,
+            i = 0;
+
+        while (waitingRequests !== undefined && i < waitingRequests.length) {
+            waitingRequest = waitingRequests[i];
+            if (hasFreeSlot(waitingRequest.serverURLInfo, waitingRequest.referrer)) {
+                waitingRequests.splice(i, 1);
+                clearTimeout(waitingRequest.timer);
+                waitingRequest.resolve(takeSlot(url, waitingRequest.referrer));
+            } else {
+                i ++;
+            }
+        }
+        if (waitingRequests !== undefined && waitingRequests.length == 0) {
+            delete waiting[url];
+        }
+    }
+
+    /**
+     * Take a slot for a request, waiting for one if needed.
+     * @param serverURLInfo {object} the serverUrl configuration, for its maxConcurrent, maxConcurrentPerReferrer and
+     *   maxConcurrentWait.
+     * @param referrer {string} the referrer of the request.
+     * @returns {Promise} resolves with a function to call when the request is done, or with null when there was no
+     *   free slot within maxConcurrentWait seconds.
+     */
+    function acquire(serverURLInfo, referrer) {
+        var url = serverURLInfo.url;
+
+        if (hasFreeSlot(serverURLInfo, referrer) && waiting[url] === undefined) {
+            return Promise.resolve(takeSlot(url, referrer));
+        }
+        if ( ! (serverURLInfo.maxConcurrentWait > 0)) {
+            return Promise.resolve(null);
+        }
+        return new Promise(function (resolvePromise) {
+            var waitingRequest = {
+                serverURLInfo: serverURLInfo,
+                referrer: referrer,
+                resolve: resolvePromise,
+                timer: null
+            };
+
+            waitingRequest.timer = setTimeout(function () {
+                var waitingRequests = waiting[url],
+                    index = waitingRequests !== undefined ? waitingRequests.indexOf(waitingRequest) : -1;
+
+                if (index >= 0) {
+                    waitingRequests.splice(index, 1);
+                    if (waitingRequests.length == 0) {
+                        delete waiting[url];
+                    }
+                }
+                logMessage('ConcurrencyLimiter gave up waiting after ' + serverURLInfo.maxConcurrentWait + ' seconds for ' + url);
+                resolvePromise(null);
+                // requests behind this one may fit now
+                grantWaitingRequests(url);
+            }, serverURLInfo.maxConcurrentWait * 1000);
+            if (waiting[url] === undefined) {
+                waiting[url] = [];
+            }
+            waiting[url].push(waitingRequest);
+            // there may be a slot this referrer can use that requests of other referrers are waiting for
+            grantWaitingRequests(url);
+        });
+    }
+
+    /**
+     * This is the public API:
+     */
+    return {
+        /**
+         * Take a slot for a request before it is forwarded to the service.
+         * @param serverURLInfo {object} the serverUrl configuration.
+         * @param referrer {string} the referrer of the request.
+         * @returns {Promise} resolves with a function to call once the request is done, or with null when there is
+         *   no free slot.
+         */
+        acquire: function(serverURLInfo, referrer) {
+            return acquire(serverURLInfo, referrer);
+        },
+
+        /**
+         * Report the requests in flight to a serverUrl.
+         * @param url {string} the serverUrl url.
+         * @returns {object} {total, waiting, referrers} where referrers counts the requests in flight of each referrer.
+         */
+        getInFlight: function(url) {
+            var counts = inFlight[url] || {total: 0, referrers: {}};
+
+            return {
+                total: counts.total,
+                waiting: waiting[url] !== undefined ? waiting[url].length : 0,
+                referrers: Object.assign({}, counts.referrers)
+            };
+        },
+
+        /**
+         * Give up on every waiting request and forget the counts.
+         */
+        clear: function() {
+            var url;
+
+            for (url in waiting) {
+                if (waiting.hasOwnProperty(url)) {
+                    waiting[url].forEach(function (waitingRequest) {
+                        clearTimeout(waitingRequest.timer);
+                        waitingRequest.resolve(null);
+                    });
+                }
+            }
+            waiting = {};
+            inFlight = {};
+        }
+    }
+};
@@ -1,6 +1,8 @@
 /**
  * Configuration file parser, validator, and accessor. Calling loadConfigurationFile returns a promise that will
- * resolve once the config is loaded, parsed, and validated.
+ * resolve once the config is loaded, parsed, and validated. After that the configuration file is watched for changes
+ * (or send the process SIGHUP) and the serverUrls, allowedReferrers, listenURI, trustedProxies and rate limit
+ * exemptions are reloaded without a restart.
  *
  * See README for the configuration file format.
  */
@@ -11,6 +13,8 @@ const path = require('path');
 const loadJsonFile = require('load-json-file');
 const ProjectUtilities = require('./ProjectUtilities');
 const QuickLogger = require('./QuickLogger');
+const SchemaValidator = require('./SchemaValidator');
+const SecretRedactor = require('./SecretRedactor');
 const UrlFlexParser = require('./UrlFlexParser');
 const xml2js = require('xml2js');
 
@@ -21,42 +25,480 @@ const defaultConfigurationFileName = 'config';
 const defaultConfigurationTestFileName = 'config-test';
 const defaultConfigurationFileType = 'xml';
 const defaultOAuthEndpoint = 'https://www.arcgis.com/sharing/oauth2/';
+const configurationReloadDelay = 500; // milliseconds to wait for the file to settle, editors tend to write it in several steps
+const configurationSchema = require('../conf/config.schema.json');
+const rateLimitAlgorithms = ['fixedWindow', 'slidingWindowLog', 'slidingWindowCounter', 'tokenBucket'];
+const rateLimitKeys = ['referrer', 'ip', 'ipAndReferrer'];
+const rateExceededActions = ['reject', 'queue'];
+const defaultMaxQueueWait = 30; // seconds a queued request waits for the rate limit
+const defaultMaxQueueLength = 100; // requests waiting for a serverUrl
+const defaultQuotaWarningThresholds = [80]; // percent of a quota used that is worth a warning
 
-var configuration = {
-    testMode: false,
-    language: 'en',
-    mustMatch: true,
-    logLevel: QuickLogger.LOGLEVEL.ERROR.value,
-    logConsole: true,
-    logFunction: null,
-    localPingURL: '/ping',
-    localEchoURL: '/echo',
-    localStatusURL: '/status',
-    staticFilePath: null,
-    port: 3333, // 80
-    useHTTPS: false,
+var configuration = getDefaultConfiguration();
+var configurationComplete = false;
+var configurationFile = null;
+var configurationWatcher = null;
+var configurationReloadTimer = null;
+var configurationChangedHandler = null;
+var commandLineOptions = {
+    configFile: null,
+    port: null,
+    logLevel: null,
     httpsKeyFile: null,
     httpsCertificateFile: null,
     httpsPfxFile: null,
-    listenURI: null,
-    allowedReferrers: ['*'],
-    allowAnyReferrer: false,
-    serverURLs: [],
-    stringTable: null
+    validateOnly: false,
+    resetRateMeter: false,
+    workers: null,
+    showVersion: false,
+    showHelp: false,
+    errors: []
 };
-var configurationComplete = false;
 
 /**
- * Look at the command line for any configuration overrides.
+ * Create a configuration data structure with all the default settings.
+ * @returns {object}
+ */
+function getDefaultConfiguration() {
+    return {
+        testMode: false,
+        language: 'en',
+        mustMatch: true,
+        logLevel: QuickLogger.LOGLEVEL.ERROR.value,
+        logConsole: true,
+        logFunction: null,
+        localPingURL: '/ping',
+        localEchoURL: '/echo',
+        localStatusURL: '/status',
+        staticFilePath: null,
+        port: 3333, // 80
+        useHTTPS: false,
+        httpsKeyFile: null,
+        httpsCertificateFile: null,
+        httpsPfxFile: null,
+        listenURI: null,
+        maxUploadSize: 0, // bytes, 0 for no limit
+        maxInspectSize: 65536, // bytes
+        trustedProxies: null, // address list of the proxies we accept X-Forwarded-For from
+        rateLimitExemptReferrers: [], // parsed referrers that are not rate limited
+        rateLimitExemptAddresses: null, // address list of the clients that are not rate limited
+        rateMeterDatabase: null, // sqlite file the rate meter keeps its counters in, null for RateMeter's default
+        workers: 0, // processes sharing the port in cluster mode, 0 or 1 to run in a single process
+        accessLogFile: null, // JSON access log file in logFilePath, null for no access log
+        logMaxSize: 0, // bytes the log file may grow to before it is rotated, 0 for no limit
+        logRotateDaily: false,
+        logMaxFiles: 5, // rotated log files to keep
+        logCompress: false, // gzip rotated log files
+        logBufferSize: 1048576, // bytes of log messages waiting to be written, more are dropped
+        redactParameters: [], // names of more parameters holding secrets to mask in logs and responses
+        allowedReferrers: ['*'],
+        allowAnyReferrer: false,
+        serverURLs: [],
+        stringTable: null,
+        problems: []
+    };
+}
+
+/**
+ * Record a problem found in a configuration so it can be logged or reported.
+ * @param targetConfiguration {object} the configuration data structure the problem was found in.
+ * @param severity {string} 'error' if we cannot run with this configuration, 'warning' if we can.
+ * @param setting {string} the setting with the problem, e.g. "port" or "serverUrls[2].hostRedirect".
+ * @param message {string} describes the problem.
+ */
+function addConfigurationProblem(targetConfiguration, severity, setting, message) {
+    targetConfiguration.problems.push({
+        severity: severity,
+        setting: setting,
+        message: message
+    });
+}
+
+/**
+ * Look at the environment and the command line for any configuration overrides. Command line options take precedence
+ * over environment variables, which take precedence over the configuration file. Options are given as
+ * --option value or --option=value. Any problems are collected in commandLineOptions.errors.
  */
 function parseCommandLineOptions() {
-    process.argv.forEach(function(value, index) {
-        console.log('argv[' + index + ']: ' + value);
-        if (value == 'test') {
+    var args = process.argv.slice(2),
+        valueOptions = ['config', 'port', 'log-level', 'https-key', 'https-cert', 'pfx', 'workers'],
+        arg,
+        optionName,
+        optionValue,
+        separatorPosition,
+        i;
+
+    if (process.env.PROXY_CONFIG !== undefined && process.env.PROXY_CONFIG.trim().length > 0) {
+        commandLineOptions.configFile = process.env.PROXY_CONFIG.trim();
+    }
+    if (process.env.PROXY_PORT !== undefined && process.env.PROXY_PORT.trim().length > 0) {
+        setPortOption(process.env.PROXY_PORT, 'PROXY_PORT');
+    }
+    for (i = 0; i < args.length; i ++) {
+        arg = args[i];
+        if (arg == 'test') {
             configuration.testMode = true;
             console.log('Setting TEST mode');
+        } else if (arg.substr(0, 2) == '--') {
+            separatorPosition = arg.indexOf('=');
+            if (separatorPosition > 0) {
+                optionName = arg.substring(2, separatorPosition);
+                optionValue = arg.substr(separatorPosition + 1);
+            } else {
+                optionName = arg.substr(2);
+                optionValue = null;
+            }
+            if (valueOptions.indexOf(optionName) >= 0 && optionValue == null) {
+                if (i + 1 < args.length && args[i + 1].substr(0, 2) != '--') {
+                    i ++;
+                    optionValue = args[i];
+                } else {
+                    commandLineOptions.errors.push(getStringTableEntry('Command line option requires a value', {option: arg}));
+                    continue;
+                }
+            }
+            if (optionName == 'config') {
+                commandLineOptions.configFile = optionValue;
+            } else if (optionName == 'port') {
+                setPortOption(optionValue, arg);
+            } else if (optionName == 'log-level') {
+                commandLineOptions.logLevel = getLogLevelValue(optionValue);
+                if (commandLineOptions.logLevel == null) {
+                    commandLineOptions.errors.push(getStringTableEntry('Invalid log level option', {level: optionValue, option: arg}));
+                }
+            } else if (optionName == 'https-key') {
+                commandLineOptions.httpsKeyFile = optionValue;
+            } else if (optionName == 'https-cert') {
+                commandLineOptions.httpsCertificateFile = optionValue;
+            } else if (optionName == 'pfx') {
+                commandLineOptions.httpsPfxFile = optionValue;
+            } else if (optionName == 'workers') {
+                setWorkersOption(optionValue, arg);
+            } else if (optionName == 'validate-only') {
+                commandLineOptions.validateOnly = true;
+            } else if (optionName == 'reset-rate-meter') {
+                commandLineOptions.resetRateMeter = true;
+            } else if (optionName == 'version') {
+                commandLineOptions.showVersion = true;
+            } else if (optionName == 'help') {
+                commandLineOptions.showHelp = true;
+            } else {
+                commandLineOptions.errors.push(getStringTableEntry('Unknown command line option', {option: arg}));
+            }
+        } else {
+            commandLineOptions.errors.push(getStringTableEntry('Unknown command line option', {option: arg}));
+        }
+    }
+}
+
+/**
+ * Validate the number of cluster workers given on the command line and save it as an override.
+ * @param value {string} the number of workers.
+ * @param source {string} the option it came from, for error reporting.
+ */
+function setWorkersOption(value, source) {
+    var workers = Number(value);
+
+    if (Number.isInteger(workers) && workers >= 0) {
+        commandLineOptions.workers = workers;
+    } else {
+        commandLineOptions.errors.push(getStringTableEntry('Invalid workers option', {workers: value, option: source}));
+    }
+}
+
+/**
+ * Validate a port number given on the command line or in the environment and save it as an override.
+ * @param value {string} the port number.
+ * @param source {string} the option or environment variable it came from, for error reporting.
+ */
+function setPortOption(value, source) {
+    var port = Number(value);
+
+    if (Number.isInteger(port) && port > 0 && port <= 65535) {
+        commandLineOptions.port = port;
+    } else {
+        commandLineOptions.errors.push(getStringTableEntry('Invalid port', {port: value, option: source}));
+    }
+}
+
+/**
+ * Convert a logging level label (e.g. "INFO") to its QuickLogger value.
+ * @param logLevelLabel {string}
+ * @returns {number|null} null if the label is not a logging level we know.
+ */
+function getLogLevelValue(logLevelLabel) {
+    var logLevel;
+
+    if (logLevelLabel != null) {
+        for (logLevel in QuickLogger.LOGLEVEL) {
+            if (QuickLogger.LOGLEVEL.hasOwnProperty(logLevel)) {
+                if (QuickLogger.LOGLEVEL[logLevel].label == logLevelLabel.toUpperCase().trim()) {
+                    return QuickLogger.LOGLEVEL[logLevel].value;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse a referrer from the configuration into the parts we match requests against. The referrer property is the
+ * normalized form of the referrer, it is the key RateMeter tracks the referrer by.
+ * @param referrer {string} a referrer from the configuration, e.g. https://dashboard.example.com or *
+ * @returns {object} {protocol, hostname, path, referrer}
+ */
+function parseReferrer(referrer) {
+    var referrerValidated = {
+            protocol: '*',
+            hostname: '*',
+            path: '*',
+            referrer: '*'
+        },
+        referrerToCheckParts;
+
+    if (referrer != "*") {
+        referrerToCheckParts = UrlFlexParser.parseAndFixURLParts(referrer.toLowerCase().trim());
+        if (referrerToCheckParts.protocol != undefined) {
+            referrerValidated.protocol = referrerToCheckParts.protocol;
+        }
+        if (referrerToCheckParts.hostname != undefined) {
+            referrerValidated.hostname = referrerToCheckParts.hostname;
+            referrerValidated.path = referrerToCheckParts.path;
+        } else {
+            referrerValidated.hostname = referrerToCheckParts.path;
+        }
+        referrerValidated.referrer = UrlFlexParser.fullReferrerURLFromParts(referrerValidated); // used for the database key for this referrer match
+    }
+    return referrerValidated;
+}
+
+/**
+ * Normalize the rate limit settings of a serverUrl or a referrer rate limit and work out the values RateMeter uses.
+ * @param rateLimitSettings {object} where the rateLimit, rateLimitPeriod, rateLimitBurst, dailyQuota and monthlyQuota
+ *   settings come from.
+ * @param target {object} the object to set rateLimit, rateLimitPeriod, rateLimitBurst, rate, ratePeriodSeconds,
+ *   dailyQuota and monthlyQuota on.
+ * @param inheritedLimits {object} optional, the limits of the serverUrl, a referrer rate limit that does not set its
+ *   own quotas gets these.
+ * @returns {object} target.
+ */
+function setRateLimit(rateLimitSettings, target, inheritedLimits) {
+    target.rateLimit = rateLimitSettings.rateLimit !== undefined ? Math.max(0, parseInt(rateLimitSettings.rateLimit) || 0) : 0;
+    target.rateLimitPeriod = rateLimitSettings.rateLimitPeriod !== undefined ? Math.max(0, parseInt(rateLimitSettings.rateLimitPeriod) || 0) : 0;
+    if (target.rateLimit > 0 && target.rateLimitPeriod > 0) {
+        target.rate = target.rateLimit / target.rateLimitPeriod / 60; // how many we give out per second
+        target.ratePeriodSeconds = target.rateLimitPeriod * 60; // how many seconds in 1 rate period
+    } else {
+        target.rate = 0;
+        target.ratePeriodSeconds = 0;
+    }
+    target.rateLimitBurst = rateLimitSettings.rateLimitBurst !== undefined ? parseInt(rateLimitSettings.rateLimitBurst) : 0;
+    if ( ! (target.rateLimitBurst > 0)) {
+        target.rateLimitBurst = target.rateLimit; // the bucket holds a full period of requests
+    }
+    target.dailyQuota = getQuota(rateLimitSettings.dailyQuota, inheritedLimits != null ? inheritedLimits.dailyQuota : 0);
+    target.monthlyQuota = getQuota(rateLimitSettings.monthlyQuota, inheritedLimits != null ? inheritedLimits.monthlyQuota : 0);
+    return target;
+}
+
+/**
+ * Read a quota setting.
+ * @param quotaSetting {string|number|undefined}
+ * @param inheritedQuota {number} the quota to use when the setting is not given.
+ * @returns {number} the number of requests allowed, 0 for no quota.
+ */
+function getQuota(quotaSetting, inheritedQuota) {
+    if (quotaSetting === undefined) {
+        return inheritedQuota || 0;
+    }
+    return Math.max(0, parseInt(quotaSetting) || 0);
+}
+
+/**
+ * Read the quotaWarningThresholds setting of a serverUrl: the percentages of a quota at which a warning is logged.
+ * @param serverUrl {object} the serverUrls entry.
+ * @param serverUrlIndex {number} where the entry is in serverUrls, to report problems.
+ * @param targetConfiguration {object} where problems are recorded.
+ * @returns {Array} the percentages, in increasing order.
+ */
+function parseQuotaWarningThresholds(serverUrl, serverUrlIndex, targetConfiguration) {
+    var thresholds = [];
+
+    if (serverUrl.quotaWarningThresholds === undefined) {
+        return defaultQuotaWarningThresholds.slice();
+    }
+    getStringList(serverUrl.quotaWarningThresholds).forEach(function (thresholdSetting) {
+        var threshold = Number(thresholdSetting.replace('%', ''));
+
+        if (threshold > 0 && threshold < 100) {
+            thresholds.push(threshold);
+        } else {
+            addConfigurationProblem(targetConfiguration, 'warning', 'serverUrls[' + serverUrlIndex + '].quotaWarningThresholds', getStringTableEntry('Invalid quota warning threshold', {url: serverUrl.url, threshold: thresholdSetting}));
+        }
+    });
+    return thresholds.sort(function (first, second) {
+        return first - second;
+    });
+}
+
+/**
+ * Determine if rate limits need the rate meter: a rate limit or a quota is set.
+ * @param rateLimits {object} the limits set by setRateLimit().
+ * @returns {boolean}
+ */
+function isRateLimited(rateLimits) {
+    return rateLimits.rate > 0 || rateLimits.dailyQuota > 0 || rateLimits.monthlyQuota > 0;
+}
+
+/**
+ * Build the table of rate limits a serverUrl gives specific referrers in its referrerRateLimits setting. Each
+ * referrer must be one of the allowedReferrers, as the rate meter tracks requests by the allowed referrer they matched.
+ * @param serverUrl {object} the serverUrls entry.
+ * @param serverUrlIndex {number} where the entry is in serverUrls, to report problems.
+ * @param targetConfiguration {object} the configuration holding the allowedReferrers, and where problems are recorded.
+ * @returns {object} rate limits keyed by referrer, each one {rateLimit, rateLimitPeriod, rateLimitBurst, rate, ratePeriodSeconds,
+ *   dailyQuota, monthlyQuota}.
+ */
+function parseReferrerRateLimits(serverUrl, serverUrlIndex, targetConfiguration) {
+    var referrerRateLimits = {},
+        referrerRateLimitSettings = serverUrl.referrerRateLimits,
+        referrerRateLimit,
+        referrer,
+        setting,
+        i;
+
+    if (referrerRateLimitSettings == null) {
+        return referrerRateLimits;
+    } else if ( ! Array.isArray(referrerRateLimitSettings)) {
+        referrerRateLimitSettings = [referrerRateLimitSettings];
+    }
+    for (i = 0; i < referrerRateLimitSettings.length; i ++) {
+        referrerRateLimit = referrerRateLimitSettings[i];
+        setting = 'serverUrls[' + serverUrlIndex + '].referrerRateLimits[' + i + ']';
+        if (referrerRateLimit == null || typeof referrerRateLimit.referrer !== 'string') {
+            continue; // reported by the schema validation
+        }
+        referrer = parseReferrer(referrerRateLimit.referrer).referrer;
+        if (targetConfiguration.allowAnyReferrer || ! targetConfiguration.allowedReferrers.some(function (allowedReferrer) { return allowedReferrer.referrer == referrer; })) {
+            addConfigurationProblem(targetConfiguration, 'warning', setting, getStringTableEntry('Referrer rate limit not an allowed referrer', {url: serverUrl.url, referrer: referrerRateLimit.referrer}));
+        } else {
+            referrerRateLimits[referrer] = setRateLimit(referrerRateLimit, {}, serverUrl);
+            if ((referrerRateLimits[referrer].rateLimit > 0) != (referrerRateLimits[referrer].rateLimitPeriod > 0)) {
+                addConfigurationProblem(targetConfiguration, 'warning', setting, getStringTableEntry('Rate limit incomplete', {url: serverUrl.url + ' ' + referrerRateLimit.referrer}));
+            }
+        }
+    }
+    return referrerRateLimits;
+}
+
+/**
+ * Match a setting from the configuration to one of the values it can take, ignoring case.
+ * @param settingValue {string|undefined}
+ * @param values {Array} the values the setting can take, the first one is the default.
+ * @returns {string|null} the matching value, the default when none is given, null if the value is not one we know.
+ */
+function getSettingValue(settingValue, values) {
+    var i;
+
+    if (settingValue == null || settingValue.toString().trim() == '') {
+        return values[0];
+    }
+    for (i = 0; i < values.length; i ++) {
+        if (values[i].toLowerCase() == settingValue.toString().toLowerCase().trim()) {
+            return values[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Settings that take a list can be a single string, items separated with comma, or an array of strings.
+ * @param setting {string|Array}
+ * @returns {Array} the list of strings, without blank items.
+ */
+function getStringList(setting) {
+    var list = Array.isArray(setting) ? setting : setting.toString().split(',');
+
+    return list.map(function (item) {
+        return item.toString().trim();
+    }).filter(function (item) {
+        return item.length > 0;
+    });
+}
+
+/**
+ * Read a setting that lists IP addresses and CIDR ranges into an address list. Entries that are not valid are reported
+ * and left out.
+ * @param setting {string|Array} the list from the configuration.
+ * @param settingName {string} the name of the setting, to report problems.
+ * @param targetConfiguration {object} where problems are recorded.
+ * @returns {net.BlockList|null} the address list, null when it has no valid entries.
+ */
+function parseAddressList(setting, settingName, targetConfiguration) {
+    var addressRanges = [];
+
+    getStringList(setting).forEach(function (address) {
+        var addressRange = ProjectUtilities.parseAddressRange(address);
+
+        if (addressRange != null) {
+            addressRanges.push(addressRange);
+        } else {
+            addConfigurationProblem(targetConfiguration, 'warning', settingName, getStringTableEntry('Invalid IP address range', {setting: settingName, address: address}));
         }
     });
+    return addressRanges.length > 0 ? ProjectUtilities.createAddressList(addressRanges) : null;
+}
+
+/**
+ * Override the settings from the configuration file with the ones given on the command line or in the environment.
+ * Giving an HTTPS certificate turns on HTTPS.
+ * @param targetConfiguration {object} the configuration data structure to update.
+ */
+function applyCommandLineOptions(targetConfiguration) {
+    if (commandLineOptions.port != null) {
+        targetConfiguration.port = commandLineOptions.port;
+    }
+    if (commandLineOptions.logLevel != null) {
+        targetConfiguration.logLevel = commandLineOptions.logLevel;
+    }
+    if (commandLineOptions.workers != null) {
+        targetConfiguration.workers = commandLineOptions.workers;
+    }
+    if (commandLineOptions.httpsPfxFile != null) {
+        targetConfiguration.httpsPfxFile = commandLineOptions.httpsPfxFile;
+        targetConfiguration.useHTTPS = true;
+    }
+    if (commandLineOptions.httpsKeyFile != null) {
+        targetConfiguration.httpsKeyFile = commandLineOptions.httpsKeyFile;
+        targetConfiguration.useHTTPS = true;
+    }
+    if (commandLineOptions.httpsCertificateFile != null) {
+        targetConfiguration.httpsCertificateFile = commandLineOptions.httpsCertificateFile;
+        targetConfiguration.useHTTPS = true;
+    }
+}
+
+/**
+ * Allow read-only access to the options given on the command line and in the environment.
+ * @returns {object}
+ */
+function getCommandLineOptions() {
+    return commandLineOptions;
+}
+
+/**
+ * Load the language translation strings table. We always start with English, the configuration file may ask for
+ * another language.
+ */
+function loadStringTable() {
+    var stringTablePath = defaultRequireRootPath + defaultConfigurationFilePath + '/en.json';
+
+    try {
+        configuration.stringTable = require(stringTablePath);
+    } catch (exception) {
+        var currentPath = path.dirname(fs.realpathSync(__filename));
+        QuickLogger.logErrorEvent('Cannot load strings table from ' + stringTablePath + ' from ' + currentPath);
+    }
 }
 
 /**
@@ -81,7 +523,7 @@ function isUserLogin (serverURLInfo) {
  */
 function isAppLogin (serverURLInfo) {
     if (serverURLInfo != null) {
-        return serverURLInfo.clientid !== undefined && serverURLInfo.clientid.trim().length > 0 && serverURLInfo.clientsecret !== undefined && serverURLInfo.clientsecret.trim().length > 0;
+        return serverURLInfo.clientId !== undefined && serverURLInfo.clientId.trim().length > 0 && serverURLInfo.clientSecret !== undefined && serverURLInfo.clientSecret.trim().length > 0;
     } else {
         return false;
     }
@@ -121,46 +563,262 @@ function getStringTableEntry(key, tokens) {
  * @returns {boolean} true if valid enough.
  */
 function isConfigurationValid () {
-    var isValid,
-        serverUrl,
-        i;
+    var isValid;
 
-    // allowedReferrers != empty
-    // port >= 80 <= 65535
-    // either httpsKeyFile && httpsCertificateFile or httpsPfxFile
-    // at least one serverUrls
+    setSecretNames(configuration);
     isValid = QuickLogger.setConfiguration(configuration);
-    if (configuration.listenURI == null) {
-        QuickLogger.logErrorEvent(getStringTableEntry('No URI to listen for', null));
-        isValid = false;
-    } else if (configuration.listenURI.length == 0) {
-        QuickLogger.logErrorEvent(getStringTableEntry('No URI to listen for', null));
-        isValid = false;
-    }
-    if (configuration.serverUrls == null) {
-        QuickLogger.logErrorEvent(getStringTableEntry('You must configure serverUrls', null));
-        isValid = false;
-    } else if (configuration.serverUrls.length == 0) {
-        QuickLogger.logErrorEvent(getStringTableEntry('You must configure one serverUrl', null));
-        isValid = false;
+    return isConfigurationDataValid(configuration) && isValid;
+}
+
+/**
+ * Tell SecretRedactor the names of the parameters holding secrets in a configuration, besides the ones it always
+ * masks: redactParameters and the tokenParamName of each serverUrl.
+ * @param targetConfiguration {object} the configuration data structure.
+ */
+function setSecretNames (targetConfiguration) {
+    var names = targetConfiguration.redactParameters.slice();
+
+    (targetConfiguration.serverUrls || []).forEach(function (serverUrl) {
+        if (serverUrl.tokenParamName != null) {
+            names.push(serverUrl.tokenParamName);
+        }
+    });
+    SecretRedactor.setSensitiveNames(names);
+}
+
+/**
+ * Validate the settings of a configuration data structure. Any reasons it is not valid are written to the log file.
+ * @param targetConfiguration {object} the configuration data structure to check.
+ * @returns {boolean} true if valid enough.
+ */
+function isConfigurationDataValid (targetConfiguration) {
+    var isValid = true,
+        problems = getConfigurationProblems(targetConfiguration),
+        i;
+
+    for (i = 0; i < problems.length; i ++) {
+        if (problems[i].severity == 'error') {
+            isValid = false;
+            QuickLogger.logErrorEvent(problems[i].message);
+        } else {
+            QuickLogger.logWarnEvent(problems[i].message);
+        }
+    }
+    if (targetConfiguration.allowedReferrers == null || targetConfiguration.allowedReferrers.length == 0) {
+        targetConfiguration.allowedReferrers = ['*'];
+    }
+    return isValid;
+}
+
+/**
+ * Check every setting of a configuration data structure and list all the problems found, including the ones
+ * found while the file was parsed. This function does not change the configuration.
+ * @param targetConfiguration {object} the configuration data structure to check.
+ * @returns {Array} list of {severity, setting, message}, empty if there is nothing wrong.
+ */
+function getConfigurationProblems (targetConfiguration) {
+    var problems = targetConfiguration.problems.slice(),
+        serverUrls = targetConfiguration.serverUrls,
+        serverUrl,
+        setting,
+        i,
+        j;
+
+    function addProblem(severity, setting, message) {
+        problems.push({
+            severity: severity,
+            setting: setting,
+            message: message
+        });
+    }
+
+    if (targetConfiguration.listenURI == null || targetConfiguration.listenURI.length == 0) {
+        addProblem('error', 'listenURI', getStringTableEntry('No URI to listen for', null));
+    }
+    if ( ! Number.isInteger(targetConfiguration.port) || targetConfiguration.port < 1 || targetConfiguration.port > 65535) {
+        addProblem('error', 'port', getStringTableEntry('Port out of range', {port: targetConfiguration.port}));
+    }
+    if (targetConfiguration.useHTTPS) {
+        if (targetConfiguration.httpsPfxFile != null) {
+            if ( ! fs.existsSync(targetConfiguration.httpsPfxFile)) {
+                addProblem('error', 'httpsPfxFile', getStringTableEntry('HTTPS file not found', {setting: 'httpsPfxFile', file: targetConfiguration.httpsPfxFile}));
+            }
+        } else if (targetConfiguration.httpsKeyFile != null && targetConfiguration.httpsCertificateFile != null) {
+            if ( ! fs.existsSync(targetConfiguration.httpsKeyFile)) {
+                addProblem('error', 'httpsKeyFile', getStringTableEntry('HTTPS file not found', {setting: 'httpsKeyFile', file: targetConfiguration.httpsKeyFile}));
+            }
+            if ( ! fs.existsSync(targetConfiguration.httpsCertificateFile)) {
+                addProblem('error', 'httpsCertificateFile', getStringTableEntry('HTTPS file not found', {setting: 'httpsCertificateFile', file: targetConfiguration.httpsCertificateFile}));
+            }
+        } else {
+            addProblem('error', 'useHTTPS', getStringTableEntry('HTTPS requires a certificate', null));
+        }
+    }
+    if (serverUrls == null) {
+        addProblem('error', 'serverUrls', getStringTableEntry('You must configure serverUrls', null));
+    } else if (serverUrls.length == 0) {
+        addProblem('error', 'serverUrls', getStringTableEntry('You must configure one serverUrl', null));
     } else {
-        for (i = 0; i < configuration.serverUrls.length; i ++) {
-            serverUrl = configuration.serverUrls[i];
+        for (i = 0; i < serverUrls.length; i ++) {
+            serverUrl = serverUrls[i];
+            setting = 'serverUrls[' + i + ']';
             if (serverUrl.errorMessage != '') {
-                isValid = false;
-                QuickLogger.logErrorEvent(getStringTableEntry('Error in server URL definition', {url: serverUrl.url, error: serverUrl.errorMessage}));
+                addProblem('error', setting, getStringTableEntry('Error in server URL definition', {url: serverUrl.url, error: serverUrl.errorMessage}));
+            }
+            if (serverUrl.isUserLogin && serverUrl.isAppLogin) {
+                addProblem('warning', setting, getStringTableEntry('Mixed authentication', {url: serverUrl.url}));
+            }
+            if ((serverUrl.rateLimit > 0) != (serverUrl.rateLimitPeriod > 0)) {
+                addProblem('warning', setting, getStringTableEntry('Rate limit incomplete', {url: serverUrl.url}));
+            }
+            if (ProjectUtilities.isPropertySet(serverUrl, 'accessToken') && (serverUrl.isUserLogin || serverUrl.isAppLogin)) {
+                addProblem('warning', setting, getStringTableEntry('Access token with credentials', {url: serverUrl.url}));
+            }
+            for (j = 0; j < i; j ++) {
+                if (isServerUrlShadowedBy(serverUrl, serverUrls[j])) {
+                    addProblem('warning', setting, getStringTableEntry('Server URL shadowed', {url: serverUrl.url, shadowedBy: serverUrls[j].url}));
+                    break;
+                }
             }
         }
     }
-    // TODO: We do not validate the individual server URLs but maybe we should?
-    if (configuration.allowedReferrers == null) {
-        configuration.allowedReferrers = ['*'];
-        QuickLogger.logWarnEvent(getStringTableEntry('You should configure at least one referrer', null));
-    } else if (configuration.allowedReferrers.length == 0) {
-        configuration.allowedReferrers = ['*'];
-        QuickLogger.logWarnEvent(getStringTableEntry('You should configure at least one referrer', null));
+    if (targetConfiguration.allowedReferrers == null || targetConfiguration.allowedReferrers.length == 0) {
+        addProblem('warning', 'allowedReferrers', getStringTableEntry('You should configure at least one referrer', null));
+    }
+    return problems;
+}
+
+/**
+ * Requests are matched against the serverUrls in the order they are configured and the first match wins. Determine
+ * if every request a serverUrl would match is already matched by a serverUrl configured before it, meaning the
+ * later serverUrl is never used.
+ * @param serverUrl {object} the serverUrl to check.
+ * @param earlierServerUrl {object} a serverUrl configured before it.
+ * @returns {boolean} true if serverUrl is shadowed by earlierServerUrl.
+ */
+function isServerUrlShadowedBy (serverUrl, earlierServerUrl) {
+    if (serverUrl.hostname == null || earlierServerUrl.hostname == null) {
+        return false;
+    }
+    return UrlFlexParser.testDomainsMatch(earlierServerUrl.hostname.toLowerCase(), serverUrl.hostname.toLowerCase())
+        && UrlFlexParser.testProtocolsMatch(earlierServerUrl.protocol, serverUrl.protocol)
+        && (earlierServerUrl.path == '*' || (serverUrl.path != '*' && ProjectUtilities.startsWith(serverUrl.path, earlierServerUrl.path)));
+}
+
+/**
+ * Determine if a hostRedirect parsed into something we can send requests to.
+ * @param urlParts {object} the parsed hostRedirect.
+ * @returns {boolean}
+ */
+function isValidHostRedirect (urlParts) {
+    return urlParts != null
+        && ['http', 'https', '*'].indexOf(urlParts.protocol) >= 0
+        && urlParts.hostname != null && /^[a-z0-9\-._]+$/i.test(urlParts.hostname);
+}
+
+/**
+ * Map a parsed configuration file to the document model described by conf/config.schema.json. The JSON format is
+ * the model, other than serverUrls entries in the older {serverUrl: {...}} format. The XML format holds the settings
+ * in attributes: ProxyConfig attributes become ProxyConfig settings, each serverUrl element becomes a serverUrls
+ * entry and its referrerRateLimit elements become its referrerRateLimits. Any other XML element is kept as a setting
+ * so it is reported as unknown.
+ * @param json {object} the parsed configuration file.
+ * @param schema {string} indicates which configuration schema we loaded, either 'json' or 'xml'
+ * @returns {object}
+ */
+function getConfigurationModel (json, schema) {
+    var model = {},
+        proxyConfigElement,
+        serverUrlsElement,
+        key;
+
+    if (schema == 'xml') {
+        for (key in json) {
+            if (json.hasOwnProperty(key) && key != 'ProxyConfig') {
+                model[key] = {};
+            }
+        }
+        if (json.ProxyConfig !== undefined) {
+            proxyConfigElement = json.ProxyConfig;
+            model.ProxyConfig = Object.assign({}, proxyConfigElement['$']);
+            for (key in proxyConfigElement) {
+                if (proxyConfigElement.hasOwnProperty(key) && key != '$' && key != 'serverUrls' && key != 'ServerUrls') {
+                    model.ProxyConfig[key] = proxyConfigElement[key];
+                }
+            }
+            serverUrlsElement = proxyConfigElement.serverUrls || proxyConfigElement.ServerUrls;
+            if (Array.isArray(serverUrlsElement)) {
+                model.serverUrls = [];
+                serverUrlsElement.forEach(function (serverUrlsSection) {
+                    var serverUrlElements = serverUrlsSection.serverUrl || serverUrlsSection.ServerUrl;
+                    if (Array.isArray(serverUrlElements)) {
+                        serverUrlElements.forEach(function (serverUrlElement) {
+                            var serverUrlModel = Object.assign({}, serverUrlElement['$']),
+                                elementName;
+
+                            for (elementName in serverUrlElement) {
+                                if (serverUrlElement.hasOwnProperty(elementName) && elementName != '$') {
+                                    if (elementName == 'referrerRateLimit') {
+                                        serverUrlModel.referrerRateLimits = serverUrlElement[elementName].map(function (referrerRateLimitElement) {
+                                            return Object.assign({}, referrerRateLimitElement['$']);
+                                        });
+                                    } else {
+                                        serverUrlModel[elementName] = serverUrlElement[elementName];
+                                    }
+                                }
+                            }
+                            model.serverUrls.push(serverUrlModel);
+                        });
+                    }
+                });
+            }
+        }
+    } else if (json != null) {
+        model = Object.assign({}, json);
+        ['serverUrls', 'ServerUrls'].forEach(function (serverUrlsKey) {
+            if (Array.isArray(model[serverUrlsKey])) {
+                model[serverUrlsKey] = model[serverUrlsKey].map(function (serverUrl) {
+                    return serverUrl != null && serverUrl.serverUrl !== undefined ? serverUrl.serverUrl : serverUrl;
+                });
+            }
+        });
+    }
+    return model;
+}
+
+/**
+ * Check a parsed configuration file against conf/config.schema.json and record what does not conform as
+ * configuration problems. Unknown settings, usually typos, are reported with the closest setting name we know.
+ * @param json {object} the parsed configuration file.
+ * @param schema {string} indicates which configuration schema we loaded, either 'json' or 'xml'
+ * @param targetConfiguration {object} the configuration data structure to record the problems in.
+ */
+function validateConfigurationSchema (json, schema, targetConfiguration) {
+    var schemaProblems = SchemaValidator.validate(getConfigurationModel(json, schema), configurationSchema),
+        schemaProblem,
+        severity,
+        message,
+        i;
+
+    for (i = 0; i < schemaProblems.length; i ++) {
+        schemaProblem = schemaProblems[i];
+        severity = 'warning';
+        if (schemaProblem.keyword == 'additionalProperties') {
+            if (schemaProblem.suggestion != null) {
+                message = getStringTableEntry('Unknown setting did you mean', {setting: schemaProblem.path, suggestion: schemaProblem.suggestion});
+            } else {
+                message = getStringTableEntry('Unknown setting', {setting: schemaProblem.path});
+            }
+        } else if (schemaProblem.keyword == 'required') {
+            severity = 'error';
+            message = getStringTableEntry('Missing required setting', {setting: schemaProblem.path, name: schemaProblem.expected});
+        } else if (schemaProblem.keyword == 'type') {
+            message = getStringTableEntry('Setting has the wrong type', {setting: schemaProblem.path, expected: schemaProblem.expected, value: JSON.stringify(schemaProblem.value)});
+        } else {
+            message = getStringTableEntry('Setting out of range', {setting: schemaProblem.path, value: schemaProblem.value});
+        }
+        addConfigurationProblem(targetConfiguration, severity, schemaProblem.path, message);
     }
-    return isValid;
 }
 
 /**
@@ -170,108 +828,191 @@ function isConfigurationValid () {
  * Use isConfigurationValid() after this function to validate the configuration is good enough to start with.
  * @param json {object} - the object we are parsing and validating.
  * @param schema {string} - indicates which configuration schema we loaded, either 'json' or 'xml'
+ * @param targetConfiguration {object} - the configuration data structure to update.
  */
-function postParseConfigurationFile(json, schema) {
+function postParseConfigurationFile(json, schema, targetConfiguration) {
     var proxyConfigSection,
         serverUrlsSection,
         allowedReferrersSection,
         allowedReferrers,
-        referrerToCheckParts,
-        referrerValidated,
         serverUrls,
         serverUrl,
+        referrer,
         urlParts,
         logLevel,
         i,
-        languageFile,
-        invalidSetting;
+        languageFile;
 
     if (json !== null) {
+        validateConfigurationSchema(json, schema, targetConfiguration);
         if (schema == 'json') {
             proxyConfigSection = json.ProxyConfig;
             if (proxyConfigSection === undefined) {
                 proxyConfigSection = json.proxyConfig;
-            } else {
-                proxyConfigSection = null;
             }
-        } else if (schema === 'xml') {
+        } else if (schema === 'xml' && json.ProxyConfig !== undefined) {
             proxyConfigSection = json.ProxyConfig['$'];
         } else {
             proxyConfigSection = null;
         }
-        if (proxyConfigSection !== undefined && proxyConfigSection !== undefined) {
+        if (proxyConfigSection !== undefined && proxyConfigSection !== null) {
             if (proxyConfigSection.language !== undefined && proxyConfigSection.language != 'en') {
                 languageFile = defaultRequireRootPath + defaultConfigurationFilePath + '/' + proxyConfigSection.language + '.json';
                 if (fs.existsSync(languageFile)) {
-                    configuration.language = proxyConfigSection.language;
-                    configuration.stringTable = require(languageFile);
+                    targetConfiguration.language = proxyConfigSection.language;
+                    targetConfiguration.stringTable = require(languageFile);
                 }
             }
             if (proxyConfigSection.useHTTPS !== undefined) {
                 if (typeof proxyConfigSection.useHTTPS === 'string') {
-                    configuration.useHTTPS = proxyConfigSection.useHTTPS.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.useHTTPS === '1';
+                    targetConfiguration.useHTTPS = proxyConfigSection.useHTTPS.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.useHTTPS === '1';
                 } else {
-                    configuration.useHTTPS = proxyConfigSection.useHTTPS;
+                    targetConfiguration.useHTTPS = proxyConfigSection.useHTTPS;
                 }
             }
             if (proxyConfigSection.port !== undefined) {
                 if (typeof proxyConfigSection.port === 'string') {
-                    configuration.port = parseInt(proxyConfigSection.port, 10);
+                    targetConfiguration.port = parseInt(proxyConfigSection.port, 10);
                 } else {
-                    configuration.port = proxyConfigSection.port;
+                    targetConfiguration.port = proxyConfigSection.port;
                 }
             }
             if (proxyConfigSection.mustMatch !== undefined) {
                 if (typeof proxyConfigSection.mustMatch === 'string') {
-                    configuration.mustMatch = proxyConfigSection.mustMatch.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.mustMatch === '1';
+                    targetConfiguration.mustMatch = proxyConfigSection.mustMatch.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.mustMatch === '1';
                 } else {
-                    configuration.mustMatch = proxyConfigSection.mustMatch;
+                    targetConfiguration.mustMatch = proxyConfigSection.mustMatch;
                 }
             } else {
-                configuration.mustMatch = true;
+                targetConfiguration.mustMatch = true;
             }
             if (proxyConfigSection.matchAllReferrer !== undefined) {
                 if (typeof proxyConfigSection.matchAllReferrer === 'string') {
-                    configuration.matchAllReferrer = proxyConfigSection.matchAllReferrer.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.matchAllReferrer === '1';
+                    targetConfiguration.matchAllReferrer = proxyConfigSection.matchAllReferrer.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.matchAllReferrer === '1';
                 } else {
-                    configuration.matchAllReferrer = proxyConfigSection.matchAllReferrer;
+                    targetConfiguration.matchAllReferrer = proxyConfigSection.matchAllReferrer;
                 }
             } else {
-                configuration.matchAllReferrer = true;
+                targetConfiguration.matchAllReferrer = true;
             }
             if (proxyConfigSection.logToConsole !== undefined) {
                 if (typeof proxyConfigSection.logToConsole === 'string') {
-                    configuration.logToConsole = proxyConfigSection.logToConsole.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.logToConsole === '1';
+                    targetConfiguration.logToConsole = proxyConfigSection.logToConsole.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.logToConsole === '1';
                 } else {
-                    configuration.logToConsole = proxyConfigSection.logToConsole == true;
+                    targetConfiguration.logToConsole = proxyConfigSection.logToConsole == true;
                 }
             } else {
-                configuration.logToConsole = false;
+                targetConfiguration.logToConsole = false;
+            }
+            if (proxyConfigSection.maxUploadSize !== undefined) {
+                if (typeof proxyConfigSection.maxUploadSize === 'string') {
+                    targetConfiguration.maxUploadSize = parseInt(proxyConfigSection.maxUploadSize, 10);
+                } else {
+                    targetConfiguration.maxUploadSize = proxyConfigSection.maxUploadSize;
+                }
+                if (isNaN(targetConfiguration.maxUploadSize) || targetConfiguration.maxUploadSize < 0) {
+                    targetConfiguration.maxUploadSize = 0;
+                }
+            }
+            if (proxyConfigSection.maxInspectSize !== undefined) {
+                if (typeof proxyConfigSection.maxInspectSize === 'string') {
+                    targetConfiguration.maxInspectSize = parseInt(proxyConfigSection.maxInspectSize, 10);
+                } else {
+                    targetConfiguration.maxInspectSize = proxyConfigSection.maxInspectSize;
+                }
+                if (isNaN(targetConfiguration.maxInspectSize) || targetConfiguration.maxInspectSize < 0) {
+                    targetConfiguration.maxInspectSize = 65536;
+                }
+            }
+            if (proxyConfigSection.workers !== undefined) {
+                if (typeof proxyConfigSection.workers === 'string') {
+                    targetConfiguration.workers = parseInt(proxyConfigSection.workers, 10);
+                } else {
+                    targetConfiguration.workers = proxyConfigSection.workers;
+                }
+                if (isNaN(targetConfiguration.workers) || targetConfiguration.workers < 0) {
+                    targetConfiguration.workers = 0;
+                }
+            }
+            if (proxyConfigSection.trustedProxies !== undefined) {
+                targetConfiguration.trustedProxies = parseAddressList(proxyConfigSection.trustedProxies, 'trustedProxies', targetConfiguration);
+            }
+            if (proxyConfigSection.rateLimitExemptAddresses !== undefined) {
+                targetConfiguration.rateLimitExemptAddresses = parseAddressList(proxyConfigSection.rateLimitExemptAddresses, 'rateLimitExemptAddresses', targetConfiguration);
+            }
+            if (proxyConfigSection.rateLimitExemptReferrers !== undefined) {
+                targetConfiguration.rateLimitExemptReferrers = getStringList(proxyConfigSection.rateLimitExemptReferrers).map(parseReferrer);
+            }
+            if (proxyConfigSection.redactParameters !== undefined) {
+                targetConfiguration.redactParameters = getStringList(proxyConfigSection.redactParameters);
             }
             if (proxyConfigSection.logFile !== undefined) {
-                configuration.logFileName = proxyConfigSection.logFile;
+                targetConfiguration.logFileName = proxyConfigSection.logFile;
             } else if (proxyConfigSection.logFileName !== undefined) {
-                configuration.logFileName = proxyConfigSection.logFileName;
+                targetConfiguration.logFileName = proxyConfigSection.logFileName;
             }
             if (proxyConfigSection.logFilePath !== undefined) {
-                configuration.logFilePath = proxyConfigSection.logFilePath;
+                targetConfiguration.logFilePath = proxyConfigSection.logFilePath;
             }
-            if (proxyConfigSection.logLevel !== undefined) {
-                invalidSetting = true;
-                for (logLevel in QuickLogger.LOGLEVEL) {
-                    if (QuickLogger.LOGLEVEL.hasOwnProperty(logLevel)) {
-                        if (QuickLogger.LOGLEVEL[logLevel].label == proxyConfigSection.logLevel.toUpperCase()) {
-                            configuration.logLevel = QuickLogger.LOGLEVEL[logLevel].value;
-                            invalidSetting = false;
-                            break;
-                        }
-                    }
+            if (proxyConfigSection.logMaxSize !== undefined) {
+                if (typeof proxyConfigSection.logMaxSize === 'string') {
+                    targetConfiguration.logMaxSize = parseInt(proxyConfigSection.logMaxSize, 10);
+                } else {
+                    targetConfiguration.logMaxSize = proxyConfigSection.logMaxSize;
+                }
+                if (isNaN(targetConfiguration.logMaxSize) || targetConfiguration.logMaxSize < 0) {
+                    targetConfiguration.logMaxSize = 0;
+                }
+            }
+            if (proxyConfigSection.logBufferSize !== undefined) {
+                if (typeof proxyConfigSection.logBufferSize === 'string') {
+                    targetConfiguration.logBufferSize = parseInt(proxyConfigSection.logBufferSize, 10);
+                } else {
+                    targetConfiguration.logBufferSize = proxyConfigSection.logBufferSize;
+                }
+                if (isNaN(targetConfiguration.logBufferSize) || targetConfiguration.logBufferSize <= 0) {
+                    targetConfiguration.logBufferSize = 1048576;
+                }
+            }
+            if (proxyConfigSection.logMaxFiles !== undefined) {
+                if (typeof proxyConfigSection.logMaxFiles === 'string') {
+                    targetConfiguration.logMaxFiles = parseInt(proxyConfigSection.logMaxFiles, 10);
+                } else {
+                    targetConfiguration.logMaxFiles = proxyConfigSection.logMaxFiles;
+                }
+                if (isNaN(targetConfiguration.logMaxFiles) || targetConfiguration.logMaxFiles < 0) {
+                    targetConfiguration.logMaxFiles = 5;
+                }
+            }
+            if (proxyConfigSection.logRotateDaily !== undefined) {
+                if (typeof proxyConfigSection.logRotateDaily === 'string') {
+                    targetConfiguration.logRotateDaily = proxyConfigSection.logRotateDaily.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.logRotateDaily === '1';
+                } else {
+                    targetConfiguration.logRotateDaily = proxyConfigSection.logRotateDaily == true;
                 }
-                if (invalidSetting) {
-                    console.log(getStringTableEntry('Undefined logging level', {level: proxyConfigSection.logLevel}));
+            }
+            if (proxyConfigSection.logCompress !== undefined) {
+                if (typeof proxyConfigSection.logCompress === 'string') {
+                    targetConfiguration.logCompress = proxyConfigSection.logCompress.toLocaleLowerCase().trim() === 'true' || proxyConfigSection.logCompress === '1';
+                } else {
+                    targetConfiguration.logCompress = proxyConfigSection.logCompress == true;
+                }
+            }
+            if (typeof proxyConfigSection.accessLogFile === 'string' && proxyConfigSection.accessLogFile.trim().length > 0) {
+                targetConfiguration.accessLogFile = proxyConfigSection.accessLogFile.trim();
+            }
+            if (typeof proxyConfigSection.rateMeterDatabase === 'string' && proxyConfigSection.rateMeterDatabase.trim().length > 0) {
+                targetConfiguration.rateMeterDatabase = proxyConfigSection.rateMeterDatabase.trim();
+            }
+            if (proxyConfigSection.logLevel !== undefined) {
+                logLevel = getLogLevelValue(proxyConfigSection.logLevel);
+                if (logLevel != null) {
+                    targetConfiguration.logLevel = logLevel;
+                } else {
+                    addConfigurationProblem(targetConfiguration, 'warning', 'logLevel', getStringTableEntry('Undefined logging level', {level: proxyConfigSection.logLevel}));
                 }
             } else {
-                console.log(getStringTableEntry('No logging level requested', null));
+                addConfigurationProblem(targetConfiguration, 'warning', 'logLevel', getStringTableEntry('No logging level requested', null));
             }
             // allowedReferrers can be a single string, items separated with comma, or an array of strings.
             // Make sure we end up with an array of strings.
@@ -294,67 +1035,48 @@ function postParseConfigurationFile(json, schema) {
                     allowedReferrers = [allowedReferrersSection];
                 }
                 // make a cache of the allowed referrers so checking at runtime is easier and avoids parsing the referrer on each lookup
-                configuration.allowedReferrers = [];
+                targetConfiguration.allowedReferrers = [];
                 for (i = 0; i < allowedReferrers.length; i ++) {
-                    referrerValidated = {
-                        protocol: '*',
-                        hostname: '*',
-                        path: '*',
-                        referrer: '*'
-                    };
                     if (allowedReferrers[i] == "*") {
                         // TODO: this may not be necessary because when we match a * we don't check the individual parts
-                        configuration.allowAnyReferrer = true;
-                        configuration.allowedReferrers.push(referrerValidated);
-                    } else {
-                        referrerToCheckParts = UrlFlexParser.parseAndFixURLParts(allowedReferrers[i].toLowerCase().trim());
-                        if (referrerToCheckParts.protocol != undefined) {
-                            referrerValidated.protocol = referrerToCheckParts.protocol;
-                        }
-                        if (referrerToCheckParts.hostname != undefined) {
-                            referrerValidated.hostname = referrerToCheckParts.hostname;
-                            referrerValidated.path = referrerToCheckParts.path;
-                        } else {
-                            referrerValidated.hostname = referrerToCheckParts.path;
-                        }
-                        referrerValidated.referrer = UrlFlexParser.fullReferrerURLFromParts(referrerValidated); // used for the database key for this referrer match
-                        configuration.allowedReferrers.push(referrerValidated);
+                        targetConfiguration.allowAnyReferrer = true;
                     }
+                    targetConfiguration.allowedReferrers.push(parseReferrer(allowedReferrers[i]));
                 }
             }
-            if (configuration.useHTTPS) {
+            if (targetConfiguration.useHTTPS) {
                 if (proxyConfigSection.httpsKeyFile !== undefined) {
-                    configuration.httpsKeyFile = proxyConfigSection.httpsKeyFile;
+                    targetConfiguration.httpsKeyFile = proxyConfigSection.httpsKeyFile;
                 }
                 if (proxyConfigSection.httpsCertificateFile !== undefined) {
-                    configuration.httpsCertificateFile = proxyConfigSection.httpsCertificateFile;
+                    targetConfiguration.httpsCertificateFile = proxyConfigSection.httpsCertificateFile;
                 }
                 if (proxyConfigSection.httpsPfxFile !== undefined) {
-                    configuration.httpsPfxFile = proxyConfigSection.httpsPfxFile;
+                    targetConfiguration.httpsPfxFile = proxyConfigSection.httpsPfxFile;
                 }
             }
             // listenURI can be a single string or an array of strings
             if (proxyConfigSection.listenURI !== undefined) {
                 if (Array.isArray(proxyConfigSection.listenURI)) {
-                    configuration.listenURI = proxyConfigSection.listenURI.slice();
+                    targetConfiguration.listenURI = proxyConfigSection.listenURI.slice();
                 } else {
-                    configuration.listenURI = [proxyConfigSection.listenURI];
+                    targetConfiguration.listenURI = [proxyConfigSection.listenURI];
                 }
             }
             if (proxyConfigSection.pingPath !== undefined) {
-                configuration.localPingURL = proxyConfigSection.pingPath;
+                targetConfiguration.localPingURL = proxyConfigSection.pingPath;
             }
             if (proxyConfigSection.echoPath !== undefined) {
-                configuration.localEchoURL = proxyConfigSection.echoPath;
+                targetConfiguration.localEchoURL = proxyConfigSection.echoPath;
             }
             if (proxyConfigSection.statusPath !== undefined) {
-                configuration.localStatusURL = proxyConfigSection.statusPath;
+                targetConfiguration.localStatusURL = proxyConfigSection.statusPath;
             }
             if (proxyConfigSection.staticFilePath !== undefined) {
-                configuration.staticFilePath = defaultConfigurationRootPath + proxyConfigSection.staticFilePath;
-                if ( ! fs.existsSync(configuration.staticFilePath)) {
-                    configuration.staticFilePath = null;
-                    console.log(getStringTableEntry('Invalid static file path', {path: proxyConfigSection.staticFilePath}));
+                targetConfiguration.staticFilePath = defaultConfigurationRootPath + proxyConfigSection.staticFilePath;
+                if ( ! fs.existsSync(targetConfiguration.staticFilePath)) {
+                    targetConfiguration.staticFilePath = null;
+                    addConfigurationProblem(targetConfiguration, 'warning', 'staticFilePath', getStringTableEntry('Invalid static file path', {path: proxyConfigSection.staticFilePath}));
                 }
             }
         }
@@ -364,10 +1086,8 @@ function postParseConfigurationFile(json, schema) {
             serverUrlsSection = json.ServerUrls;
             if (serverUrlsSection === undefined) {
                 serverUrlsSection = json.serverUrls;
-            } else {
-                serverUrlsSection = null;
             }
-        } else if (schema === 'xml') {
+        } else if (schema === 'xml' && json.ProxyConfig !== undefined) {
             serverUrlsSection = json.ProxyConfig.ServerUrls;
             if (serverUrlsSection === undefined) {
                 serverUrlsSection = json.ProxyConfig.serverUrls;
@@ -383,7 +1103,7 @@ function postParseConfigurationFile(json, schema) {
         } else {
             serverUrlsSection = null;
         }
-        configuration.serverUrls = [];
+        targetConfiguration.serverUrls = [];
         if (serverUrlsSection !== undefined && serverUrlsSection !== null) {
             if (Array.isArray(serverUrlsSection)) {
                 serverUrls = serverUrlsSection.slice(); // if array copy the array
@@ -394,13 +1114,22 @@ function postParseConfigurationFile(json, schema) {
             for (i = 0; i < serverUrls.length; i ++) {
                 serverUrl = serverUrls[i];
                 if (schema == 'xml' && serverUrl['$'] !== undefined) {
-                    // the xml parser put attributes in a dummy object "$"
+                    // the xml parser put attributes in a dummy object "$", and referrerRateLimit child elements in an array
+                    if (Array.isArray(serverUrl.referrerRateLimit)) {
+                        serverUrl['$'].referrerRateLimits = serverUrl.referrerRateLimit.map(function (referrerRateLimitElement) {
+                            return referrerRateLimitElement['$'] || {};
+                        });
+                    }
                     serverUrl = serverUrl['$'];
                 } else if (schema == 'json' && serverUrl.serverUrl !== undefined) {
                     // if the config file uses the old format {serverUrls: { serverUrl: { ... }} then convert it to the newer format.
                     serverUrl = serverUrl.serverUrl;
                 }
                 serverUrl.errorMessage = '';
+                if (serverUrl.url === undefined) {
+                    // reported by the schema validation, keep going so we can report everything else.
+                    serverUrl.url = '';
+                }
                 urlParts = UrlFlexParser.parseAndFixURLParts(serverUrl.url);
                 if (urlParts != null) {
                     serverUrl.protocol = urlParts.protocol;
@@ -429,36 +1158,43 @@ function postParseConfigurationFile(json, schema) {
                 } else {
                     serverUrl.matchAll = true;
                 }
-                if (serverUrl.rateLimit !== undefined) {
-                    serverUrl.rateLimit = parseInt(serverUrl.rateLimit);
-                    if (serverUrl.rateLimit < 0) {
-                        serverUrl.rateLimit = 0;
+                setRateLimit(serverUrl, serverUrl);
+                serverUrl.useRateMeter = isRateLimited(serverUrl);
+                serverUrl.referrerRateLimits = parseReferrerRateLimits(serverUrl, i, targetConfiguration);
+                for (referrer in serverUrl.referrerRateLimits) {
+                    if (serverUrl.referrerRateLimits.hasOwnProperty(referrer) && isRateLimited(serverUrl.referrerRateLimits[referrer])) {
+                        serverUrl.useRateMeter = true;
                     }
-                } else {
-                    serverUrl.rateLimit = 0;
                 }
-                if (serverUrl.rateLimitPeriod !== undefined) {
-                    serverUrl.rateLimitPeriod = parseInt(serverUrl.rateLimitPeriod);
-                    if (serverUrl.rateLimitPeriod < 0) {
-                        serverUrl.rateLimitPeriod = 0;
-                    }
-                } else {
-                    serverUrl.rateLimitPeriod = 0;
+                serverUrl.quotaWarningThresholds = parseQuotaWarningThresholds(serverUrl, i, targetConfiguration);
+                serverUrl.rateLimitAlgorithm = getSettingValue(serverUrl.rateLimitAlgorithm, rateLimitAlgorithms);
+                if (serverUrl.rateLimitAlgorithm == null) {
+                    addConfigurationProblem(targetConfiguration, 'warning', 'serverUrls[' + i + '].rateLimitAlgorithm', getStringTableEntry('Unknown rate limit algorithm', {url: serverUrl.url, algorithms: rateLimitAlgorithms.join(', ')}));
+                    serverUrl.rateLimitAlgorithm = rateLimitAlgorithms[0];
                 }
-                if (serverUrl.rateLimit > 0 && serverUrl.rateLimitPeriod > 0) {
-                    serverUrl.useRateMeter = true;
-                    serverUrl.rate = serverUrl.rateLimit / serverUrl.rateLimitPeriod / 60; // how many we give out per second
-                    serverUrl.ratePeriodSeconds = 1 / serverUrl.rate; // how many seconds in 1 rate period
-                } else {
-                    serverUrl.useRateMeter = false;
-                    serverUrl.rate = 0;
-                    serverUrl.ratePeriodSeconds = 0;
+                serverUrl.rateLimitBy = getSettingValue(serverUrl.rateLimitBy, rateLimitKeys);
+                if (serverUrl.rateLimitBy == null) {
+                    addConfigurationProblem(targetConfiguration, 'warning', 'serverUrls[' + i + '].rateLimitBy', getStringTableEntry('Unknown rate limit by', {url: serverUrl.url, values: rateLimitKeys.join(', ')}));
+                    serverUrl.rateLimitBy = rateLimitKeys[0];
                 }
+                serverUrl.rateExceededAction = getSettingValue(serverUrl.rateExceededAction, rateExceededActions);
+                if (serverUrl.rateExceededAction == null) {
+                    addConfigurationProblem(targetConfiguration, 'warning', 'serverUrls[' + i + '].rateExceededAction', getStringTableEntry('Unknown rate exceeded action', {url: serverUrl.url, values: rateExceededActions.join(', ')}));
+                    serverUrl.rateExceededAction = rateExceededActions[0];
+                }
+                serverUrl.maxQueueWait = parseInt(serverUrl.maxQueueWait) > 0 ? parseInt(serverUrl.maxQueueWait) : defaultMaxQueueWait;
+                serverUrl.maxQueueLength = parseInt(serverUrl.maxQueueLength) > 0 ? parseInt(serverUrl.maxQueueLength) : defaultMaxQueueLength;
+                serverUrl.maxConcurrent = Math.max(0, parseInt(serverUrl.maxConcurrent) || 0);
+                serverUrl.maxConcurrentPerReferrer = Math.max(0, parseInt(serverUrl.maxConcurrentPerReferrer) || 0);
+                serverUrl.maxConcurrentWait = Math.max(0, parseFloat(serverUrl.maxConcurrentWait) || 0);
                 if (serverUrl.hostRedirect !== undefined && serverUrl.hostRedirect.trim().length > 0) {
                     // If this entry specifies a host redirect then we will set everything up now instead of reparsing on every request
                     serverUrl.parsedHostRedirect = UrlFlexParser.parseAndFixURLParts(serverUrl.hostRedirect.trim());
                     serverUrl.isHostRedirect = true;
-                    if (serverUrl.parsedHostRedirect.path == '' || serverUrl.parsedHostRedirect.path == '*') {
+                    if ( ! isValidHostRedirect(serverUrl.parsedHostRedirect)) {
+                        addConfigurationProblem(targetConfiguration, 'error', 'serverUrls[' + i + '].hostRedirect', getStringTableEntry('Invalid hostRedirect', {hostRedirect: serverUrl.hostRedirect, url: serverUrl.url}));
+                        serverUrl.isHostRedirect = false;
+                    } else if (serverUrl.parsedHostRedirect.path == '' || serverUrl.parsedHostRedirect.path == '*') {
                         // if the redirect does not specify a path, use the path from the request. Otherwise we override the request path with the redirect path.
                         serverUrl.parsedHostRedirect.path = serverUrl.path;
                         serverUrl.parsedHostRedirect.pathname = serverUrl.path;
@@ -466,8 +1202,8 @@ function postParseConfigurationFile(json, schema) {
                 } else {
                     serverUrl.isHostRedirect = false;
                 }
-                if (serverUrl.parameterOverride !== undefined && serverUrl.parameterOverride.toString().trim().length > 0) {
-                    serverUrl.parameterOverride = serverUrl.parameterOverride.toLowerCase();
+                if (serverUrl.parameterOverride != null && String(serverUrl.parameterOverride).trim().length > 0) {
+                    serverUrl.parameterOverride = String(serverUrl.parameterOverride).toLowerCase();
                     if (serverUrl.parameterOverride == 'referrer' || serverUrl.parameterOverride == 'true' || serverUrl.parameterOverride == '1') {
                         serverUrl.parameterOverride = true;
                     } else if (serverUrl.parameterOverride == 'config' || serverUrl.parameterOverride == 'configuration' || serverUrl.parameterOverride == 'false' || serverUrl.parameterOverride == '0') {
@@ -513,52 +1249,32 @@ function postParseConfigurationFile(json, schema) {
                 // domain;
                 // tokenParamName;
 
-                configuration.serverUrls.push(serverUrl);
+                targetConfiguration.serverUrls.push(serverUrl);
             }
         }
     }
 }
 
 /**
- * Load the configuration file and process it by copying anything that looks valid into our
- * internal configuration object. This function loads asynchronously so it returns before the
- * file is loaded or processed.
+ * Read and parse a configuration file into a configuration data structure. This function is promise based, it
+ * resolves once the file is parsed, or rejects if the file cannot be read, is not in a format we understand, or holds
+ * values we cannot process.
  * @param configFile {string} path to the configuration file.
+ * @param targetConfiguration {object} the configuration data structure to update.
+ * @returns {Promise}
  */
-function loadConfigurationFile (configFile) {
-    var promise,
-        stringTablePath;
-
-    try {
-        stringTablePath = defaultRequireRootPath + defaultConfigurationFilePath + '/en.json';
-        configuration.stringTable = require(stringTablePath);
-    } catch (exception) {
-        var currentPath = path.dirname(fs.realpathSync(__filename));
-        QuickLogger.logErrorEvent('Cannot load strings table from ' + stringTablePath + ' from ' + currentPath);
-    }
-    promise = new Promise(function(resolvePromise, rejectPromise) {
-        if (configFile == undefined || configFile == null || configFile.length == 0) {
-            if (configuration.testMode) {
-                configFile = joinPath(defaultConfigurationRootPath + defaultConfigurationFilePath, defaultConfigurationTestFileName);
-            } else {
-                configFile = joinPath(defaultConfigurationRootPath + defaultConfigurationFilePath, defaultConfigurationFileName);
-            }
-            if (defaultConfigurationFileType != null && defaultConfigurationFilePath.length > 0) {
-                configFile += '.' + defaultConfigurationFileType;
-            }
-        }
-        QuickLogger.logInfoEvent(getStringTableEntry('Loading configuration from', {file: configFile}));
+function parseConfigurationFile (configFile, targetConfiguration) {
+    return new Promise(function(resolvePromise, rejectPromise) {
         if (ProjectUtilities.isFileTypeJson(configFile)) {
             loadJsonFile(configFile).then(function (jsonObject) {
-                postParseConfigurationFile(jsonObject, 'json');
-                configurationComplete = true;
-                if (isConfigurationValid()) {
+                try {
+                    postParseConfigurationFile(jsonObject, 'json', targetConfiguration);
                     resolvePromise();
-                } else {
-                    rejectPromise(new Error(getStringTableEntry('Configuration file not valid', null)));
+                } catch (error) {
+                    rejectPromise(error);
                 }
             }, function (error) {
-                QuickLogger.logErrorEvent(getStringTableEntry('Invalid configuration file format', {error: error.toString()}));
+                rejectPromise(new Error(getStringTableEntry('Invalid configuration file format', {error: error.toString()})));
             });
         } else {
             var xmlParser = new xml2js.Parser();
@@ -566,32 +1282,203 @@ function loadConfigurationFile (configFile) {
                 if (fileError == null) {
                     xmlParser.parseString(xmlData, function (xmlError, xmlObject) {
                         if (xmlError == null) {
-                            postParseConfigurationFile(xmlObject, 'xml');
-                            configurationComplete = true;
-                            if (isConfigurationValid()) {
+                            try {
+                                postParseConfigurationFile(xmlObject, 'xml', targetConfiguration);
                                 resolvePromise();
-                            } else {
-                                rejectPromise(new Error(getStringTableEntry('Configuration file not valid', null)));
+                            } catch (error) {
+                                rejectPromise(error);
                             }
                         } else {
-                            rejectPromise(xmlError);
+                            rejectPromise(new Error(getStringTableEntry('Invalid configuration file format', {error: xmlError.toString()})));
                         }
                     });
                 } else {
-                    console.log("File error on " + configFile + " at path " + path.dirname(fs.realpathSync(__filename)));
-                    rejectPromise(fileError);
+                    rejectPromise(new Error(getStringTableEntry('Cannot read configuration file', {file: configFile, path: process.cwd(), error: fileError.message})));
                 }
             });
         }
     });
-    return promise;
 }
 
+/**
+ * Load the configuration file and process it by copying anything that looks valid into our
+ * internal configuration object. This function loads asynchronously so it returns before the
+ * file is loaded or processed. Settings given on the command line or in the environment override the file.
+ * @param configFile {string} path to the configuration file, the default configuration file is used if empty.
+ * @param configurationChanged {function} optional, when given the file is watched so changes are applied while we
+ *   are running, and this function is called with the configuration each time it is reloaded.
+ * @returns {Promise}
+ */
+function loadConfigurationFile (configFile, configurationChanged) {
+    configFile = getConfigurationFilePath(configFile);
+    QuickLogger.logInfoEvent(getStringTableEntry('Loading configuration from', {file: configFile}));
+    return parseConfigurationFile(configFile, configuration).then(function () {
+        applyCommandLineOptions(configuration);
+        configurationComplete = true;
+        if ( ! isConfigurationValid()) {
+            throw new Error(getStringTableEntry('Configuration file not valid', null));
+        }
+        configurationFile = configFile;
+        if (configurationChanged !== undefined && configurationChanged != null) {
+            watchForConfigurationChanges(configurationChanged);
+        }
+    });
+}
+
+/**
+ * Watch the configuration file we loaded so changes are applied while we are running. loadConfigurationFile() does
+ * this when it is given a configurationChanged function, this is for starting to watch later.
+ * @param configurationChanged {function} called with the configuration each time it is reloaded.
+ */
+function watchForConfigurationChanges (configurationChanged) {
+    configurationChangedHandler = configurationChanged;
+    watchConfigurationFile();
+}
+
+/**
+ * Determine which configuration file to use: the one requested, otherwise the default file.
+ * @param configFile {string} path to the configuration file, can be empty.
+ * @returns {string}
+ */
+function getConfigurationFilePath (configFile) {
+    if (configFile == undefined || configFile == null || configFile.length == 0) {
+        if (configuration.testMode) {
+            configFile = joinPath(defaultConfigurationRootPath + defaultConfigurationFilePath, defaultConfigurationTestFileName);
+        } else {
+            configFile = joinPath(defaultConfigurationRootPath + defaultConfigurationFilePath, defaultConfigurationFileName);
+        }
+        if (defaultConfigurationFileType != null && defaultConfigurationFilePath.length > 0) {
+            configFile += '.' + defaultConfigurationFileType;
+        }
+    }
+    return configFile;
+}
+
+/**
+ * Check a configuration file without using it: load it into a new configuration data structure, apply the command
+ * line overrides and list every problem found. Nothing is logged, this is meant for a pre-deployment check.
+ * @param configFile {string} path to the configuration file, the default configuration file is used if empty.
+ * @returns {Promise} resolves with the list of problems {severity, setting, message}, empty if there is nothing wrong.
+ */
+function validateConfigurationFile (configFile) {
+    var targetConfiguration = getDefaultConfiguration();
+
+    return parseConfigurationFile(getConfigurationFilePath(configFile), targetConfiguration).then(function () {
+        applyCommandLineOptions(targetConfiguration);
+        return getConfigurationProblems(targetConfiguration);
+    }, function (error) {
+        // the problems found before the file could not be parsed any further are still worth reporting
+        return targetConfiguration.problems.concat({
+            severity: 'error',
+            setting: 'file',
+            message: error.message
+        });
+    });
+}
+
+/**
+ * Reload the configuration file into a new configuration data structure and, if it is valid, swap its serverUrls,
+ * allowedReferrers and listenURI into the running configuration. If the new file is not valid it is rejected and
+ * the running configuration stays in place. Other settings (port, HTTPS, logging) still require a restart.
+ * @returns {Promise} resolves with true if the new configuration was applied.
+ */
+function reloadConfigurationFile () {
+    var newConfiguration = getDefaultConfiguration();
+
+    QuickLogger.logInfoEvent(getStringTableEntry('Reloading configuration from', {file: configurationFile}));
+    return parseConfigurationFile(configurationFile, newConfiguration).then(function () {
+        if ( ! isConfigurationDataValid(newConfiguration)) {
+            throw new Error(getStringTableEntry('Configuration file not valid', null));
+        }
+        keepServerUrlStatistics(configuration.serverUrls, newConfiguration.serverUrls);
+        // Everything is validated, swap the new settings in all at once so no request sees half a configuration.
+        configuration.serverUrls = newConfiguration.serverUrls;
+        configuration.allowedReferrers = newConfiguration.allowedReferrers;
+        configuration.allowAnyReferrer = newConfiguration.allowAnyReferrer;
+        configuration.listenURI = newConfiguration.listenURI;
+        configuration.trustedProxies = newConfiguration.trustedProxies;
+        configuration.rateLimitExemptAddresses = newConfiguration.rateLimitExemptAddresses;
+        configuration.rateLimitExemptReferrers = newConfiguration.rateLimitExemptReferrers;
+        configuration.redactParameters = newConfiguration.redactParameters;
+        setSecretNames(configuration);
+        QuickLogger.logInfoEvent(getStringTableEntry('Configuration reloaded', {file: configurationFile}));
+        if (configurationChangedHandler != null) {
+            configurationChangedHandler(configuration);
+        }
+        return true;
+    }).catch(function (error) {
+        QuickLogger.logErrorEvent(getStringTableEntry('Configuration reload rejected', {file: configurationFile, error: error.message}));
+        return false;
+    });
+}
+
+/**
+ * Copy the request statistics of the serverUrls we are already running with to the matching entries of a newly
+ * loaded serverUrls table so a reload does not reset the status page.
+ * @param serverUrls {Array} the serverUrls table we are running with.
+ * @param newServerUrls {Array} the serverUrls table we are about to run with.
+ */
+function keepServerUrlStatistics (serverUrls, newServerUrls) {
+    var i,
+        j;
+
+    for (i = 0; i < newServerUrls.length; i ++) {
+        for (j = 0; j < serverUrls.length; j ++) {
+            if (newServerUrls[i].url == serverUrls[j].url) {
+                newServerUrls[i].totalRequests = serverUrls[j].totalRequests;
+                newServerUrls[i].firstRequest = serverUrls[j].firstRequest;
+                newServerUrls[i].lastRequest = serverUrls[j].lastRequest;
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Reload the configuration when the configuration file changes or when we receive SIGHUP. We watch the folder
+ * rather than the file because editors often replace the file instead of writing to it.
+ */
+function watchConfigurationFile () {
+    var watchFileName = path.basename(configurationFile);
+
+    if (configurationWatcher != null) {
+        return;
+    }
+    try {
+        configurationWatcher = fs.watch(path.dirname(configurationFile), function (eventType, fileName) {
+            if (fileName == watchFileName) {
+                scheduleConfigurationReload();
+            }
+        });
+    } catch (exception) {
+        QuickLogger.logWarnEvent(getStringTableEntry('Cannot watch configuration file', {file: configurationFile, error: exception.message}));
+    }
+    process.on('SIGHUP', scheduleConfigurationReload);
+}
+
+/**
+ * A single save usually triggers several change events, wait for them to settle down before reloading.
+ */
+function scheduleConfigurationReload () {
+    if (configurationReloadTimer != null) {
+        clearTimeout(configurationReloadTimer);
+    }
+    configurationReloadTimer = setTimeout(function () {
+        configurationReloadTimer = null;
+        reloadConfigurationFile();
+    }, configurationReloadDelay);
+}
+
+loadStringTable();
 parseCommandLineOptions();
 module.exports.configuration = configuration;
 module.exports.isTestMode = isTestMode;
+module.exports.getCommandLineOptions = getCommandLineOptions;
 module.exports.isConfigurationValid = isConfigurationValid;
 module.exports.loadConfigurationFile = loadConfigurationFile;
+module.exports.reloadConfigurationFile = reloadConfigurationFile;
+module.exports.watchForConfigurationChanges = watchForConfigurationChanges;
+module.exports.validateConfigurationFile = validateConfigurationFile;
 module.exports.getStringTableEntry = getStringTableEntry;
 
 if (configuration.testMode) {
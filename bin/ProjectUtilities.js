@@ -3,6 +3,8 @@
  * lots of projects.
  */
 
+const net = require('net');
+
 /**
  * Convert time in milliseconds into a printable hh:mm:ss string. Hours is not constrained.
  * @param timeInMilliseconds
@@ -277,3 +279,88 @@ module.exports.isEmptyObject = function (object) {
     }
     return true;
 };
+
+/**
+ * Clean up an IP address as we get it from a socket or an X-Forwarded-For header: IPv4 addresses mapped to IPv6
+ * (::ffff:10.1.2.3) become plain IPv4, and brackets and a port number are removed.
+ * @param address {string}
+ * @returns {string} the address, or '' if it is not an IP address.
+ */
+module.exports.normalizeIPAddress = function (address) {
+    var ipv4WithPort;
+
+    if (address == null) {
+        return '';
+    }
+    address = address.toString().trim().toLowerCase();
+    if (address.charAt(0) == '[') {
+        address = address.substring(1, address.indexOf(']') > 0 ? address.indexOf(']') : address.length);
+    } else {
+        ipv4WithPort = /^(\d+\.\d+\.\d+\.\d+):\d+$/.exec(address);
+        if (ipv4WithPort != null) {
+            address = ipv4WithPort[1];
+        }
+    }
+    if (address.indexOf('::ffff:') == 0 && net.isIPv4(address.substring(7))) {
+        address = address.substring(7);
+    }
+    return net.isIP(address) ? address : '';
+};
+
+/**
+ * Parse an IP address or a CIDR range, e.g. 10.0.0.0/8 or 2001:db8::/32. A single address is a range of one.
+ * @param addressRange {string}
+ * @returns {object|null} {address, prefix, family} where family is ipv4 or ipv6, null if it is not a valid range.
+ */
+module.exports.parseAddressRange = function (addressRange) {
+    var parts,
+        address,
+        family,
+        prefix;
+
+    if (addressRange == null) {
+        return null;
+    }
+    parts = addressRange.toString().trim().split('/');
+    address = this.normalizeIPAddress(parts[0]);
+    if (address == '' || parts.length > 2) {
+        return null;
+    }
+    family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+    prefix = family == 'ipv4' ? 32 : 128;
+    if (parts.length == 2) {
+        if ( ! /^\d+$/.test(parts[1]) || parseInt(parts[1]) > prefix) {
+            return null;
+        }
+        prefix = parseInt(parts[1]);
+    }
+    return {address: address, prefix: prefix, family: family};
+};
+
+/**
+ * Create a list of IP address ranges that can be checked with isAddressInList().
+ * @param addressRanges {Array} ranges returned by parseAddressRange().
+ * @returns {net.BlockList}
+ */
+module.exports.createAddressList = function (addressRanges) {
+    var addressList = new net.BlockList();
+
+    addressRanges.forEach(function (addressRange) {
+        addressList.addSubnet(addressRange.address, addressRange.prefix, addressRange.family);
+    });
+    return addressList;
+};
+
+/**
+ * Determine if an IP address is in one of the ranges of an address list.
+ * @param addressList {net.BlockList|null} a list returned by createAddressList().
+ * @param address {string} the IP address to look for.
+ * @returns {boolean}
+ */
+module.exports.isAddressInList = function (addressList, address) {
+    address = this.normalizeIPAddress(address);
+    if (addressList == null || address == '') {
+        return false;
+    }
+    return addressList.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+};
@@ -0,0 +1,228 @@
+/**
+ * Cluster mode: the primary process forks the workers, each runs a proxy server and they share the listening port.
+ * The primary does not handle requests, it restarts a worker that exits unexpectedly and passes messages between the
+ * workers. Rate limits are shared through the rate meter database, everything else a worker keeps to itself.
+ *
+ * For the status page a worker asks the primary for the statistics of every worker: the primary asks each worker for
+ * its own and answers with the list once they all replied, or after workerReplyTimeout with those that did. The
+ * primary rotates the log file and then asks each worker to reopen it the same way.
+ */
+
+const cluster = require('cluster');
+
+const restartDelay = 1000; // milliseconds to wait before replacing a worker that exited
+const workerReplyTimeout = 1000; // milliseconds the primary waits for the workers to reply
+
+var isStopping = false;
+var nextRequestId = 1;
+var pendingRequests = {};
+
+/**
+ * Determine if we are running as a worker of a cluster.
+ * @returns {boolean}
+ */
+module.exports.isWorker = function() {
+    return cluster.isWorker;
+};
+
+/**
+ * Fork the workers and keep them running: a worker that exits while we are not stopping is replaced. Must be called
+ * from the primary process. The workers run this same script with the same command line.
+ * @param workerCount {number} how many workers to run.
+ * @param workerExited {function} optional, called with the worker process id, its exit code and signal each time a
+ *   worker exits unexpectedly, before it is replaced.
+ */
+module.exports.startWorkers = function(workerCount, workerExited) {
+    var proxyCluster = this,
+        i;
+
+    isStopping = false;
+    cluster.on('exit', function(worker, code, signal) {
+        if (isStopping) {
+            return;
+        }
+        if (workerExited != null) {
+            workerExited(worker.process.pid, code, signal);
+        }
+        setTimeout(function() {
+            if ( ! isStopping) {
+                proxyCluster.forkWorker();
+            }
+        }, restartDelay);
+    });
+    for (i = 0; i < workerCount; i ++) {
+        this.forkWorker();
+    }
+};
+
+/**
+ * Fork one worker and answer the messages it sends us.
+ * @returns {object} the cluster worker.
+ */
+module.exports.forkWorker = function() {
+    var proxyCluster = this,
+        worker = cluster.fork();
+
+    worker.on('message', function(message) {
+        if (message != null && message.type == 'clusterStatisticsRequest') {
+            proxyCluster.collectWorkerStatistics().then(function(statistics) {
+                if (worker.isConnected()) {
+                    worker.send({type: 'clusterStatistics', id: message.id, statistics: statistics});
+                }
+            });
+        } else if (message != null && message.type == 'reply' && pendingRequests[message.id] !== undefined) {
+            pendingRequests[message.id].replies.push(message.reply);
+            if (pendingRequests[message.id].replies.length >= pendingRequests[message.id].expected) {
+                pendingRequests[message.id].resolve();
+            }
+        }
+    });
+    return worker;
+};
+
+/**
+ * Ask every worker for its statistics. Must be called from the primary process.
+ * @returns {Promise} resolves with the list of the statistics of the workers that replied within workerReplyTimeout.
+ */
+module.exports.collectWorkerStatistics = function() {
+    return this.requestFromWorkers('statisticsRequest');
+};
+
+/**
+ * Ask every worker to reopen its log files, after the primary rotated the log file. Must be called from the primary
+ * process.
+ * @returns {Promise} resolves once the workers reopened it, or after workerReplyTimeout.
+ */
+module.exports.reopenWorkerLogFiles = function() {
+    return this.requestFromWorkers('reopenLogRequest');
+};
+
+/**
+ * Send a request to every worker and collect their replies. Must be called from the primary process.
+ * @param messageType {string} the type of request, see answerPrimaryRequests().
+ * @returns {Promise} resolves with the list of the replies of the workers that replied within workerReplyTimeout.
+ */
+module.exports.requestFromWorkers = function(messageType) {
+    var workers = Object.keys(cluster.workers).map(function(workerId) {
+            return cluster.workers[workerId];
+        }).filter(function(worker) {
+            return worker.isConnected();
+        }),
+        requestId = nextRequestId ++;
+
+    return new Promise(function(resolvePromise) {
+        var timer;
+
+        pendingRequests[requestId] = {
+            expected: workers.length,
+            replies: [],
+            resolve: function() {
+                var replies = pendingRequests[requestId].replies;
+
+                clearTimeout(timer);
+                delete pendingRequests[requestId];
+                resolvePromise(replies);
+            }
+        };
+        timer = setTimeout(pendingRequests[requestId].resolve, workerReplyTimeout);
+        if (workers.length == 0) {
+            pendingRequests[requestId].resolve();
+        }
+        workers.forEach(function(worker) {
+            worker.send({type: messageType, id: requestId});
+        });
+    });
+};
+
+/**
+ * Stop replacing workers and end them all. Must be called from the primary process, it is safe to call from an exit
+ * handler.
+ */
+module.exports.stopWorkers = function() {
+    var workerId;
+
+    isStopping = true;
+    for (workerId in cluster.workers) {
+        if (cluster.workers.hasOwnProperty(workerId)) {
+            cluster.workers[workerId].process.kill();
+        }
+    }
+};
+
+/**
+ * Pass a signal on to every worker, such as SIGHUP to reload the configuration. Must be called from the primary
+ * process.
+ * @param signal {string}
+ */
+module.exports.signalWorkers = function(signal) {
+    var workerId;
+
+    for (workerId in cluster.workers) {
+        if (cluster.workers.hasOwnProperty(workerId)) {
+            cluster.workers[workerId].process.kill(signal);
+        }
+    }
+};
+
+/**
+ * Reply to the primary when it asks this worker for its statistics or to reopen its log files. Must be called from a
+ * worker. A worker also ends once it loses the primary, so workers are not left behind when the primary is killed.
+ * @param getStatistics {function} called with no parameters, returns the statistics object of this worker.
+ * @param reopenLogFile {function} called with no parameters, returns a Promise that resolves once the log files are
+ *   reopened.
+ */
+module.exports.answerPrimaryRequests = function(getStatistics, reopenLogFile) {
+    process.on('message', function(message) {
+        var request;
+
+        if (message != null && message.type == 'statisticsRequest') {
+            process.send({type: 'reply', id: message.id, reply: getStatistics()});
+        } else if (message != null && message.type == 'reopenLogRequest') {
+            reopenLogFile().then(function() {
+                if (process.connected) {
+                    process.send({type: 'reply', id: message.id, reply: true});
+                }
+            });
+        } else if (message != null && message.type == 'clusterStatistics' && pendingRequests[message.id] !== undefined) {
+            request = pendingRequests[message.id];
+            delete pendingRequests[message.id];
+            request.resolve(message.statistics);
+        }
+    });
+    process.on('disconnect', function() {
+        process.exit();
+    });
+};
+
+/**
+ * Get the statistics of every worker of the cluster. When we are not running as a worker the list only holds the
+ * statistics given.
+ * @param localStatistics {object} the statistics of this process.
+ * @returns {Promise} resolves with the list of statistics, one for each worker that replied in time. The statistics
+ *   of this worker are always in the list.
+ */
+module.exports.getClusterStatistics = function(localStatistics) {
+    var requestId;
+
+    if ( ! cluster.isWorker) {
+        return Promise.resolve([localStatistics]);
+    }
+    requestId = nextRequestId ++;
+    return new Promise(function(resolvePromise) {
+        pendingRequests[requestId] = {
+            resolve: resolvePromise
+        };
+        setTimeout(function() {
+            if (pendingRequests[requestId] !== undefined) {
+                delete pendingRequests[requestId];
+                resolvePromise([localStatistics]);
+            }
+        }, 2 * workerReplyTimeout);
+        process.send({type: 'clusterStatisticsRequest', id: requestId});
+    }).then(function(statistics) {
+        // the primary has the statistics we had a moment ago, use the ones we have now
+        return statistics.filter(function(workerStatistics) {
+            return workerStatistics.pid != localStatistics.pid;
+        }).concat(localStatistics);
+    });
+};
@@ -1,14 +1,60 @@
 /**
  * "Quick" and simple logging function. Logs messages to a log file.
  * Created on 8/24/16.
+ *
+ * Messages are collected in a buffer and written to the log file through a single write stream, in the order they
+ * were logged, once a second or as soon as logFlushSize bytes (or half the buffer) are waiting. Only one write is in progress at a time.
+ * The buffer holds at most logBufferSize bytes: when the disk cannot keep up and the buffer is full, new messages are
+ * dropped (the console still shows them) and, once there is room again, a line in the log file tells how many were
+ * lost. logEventImmediately() and flushLogFileImmediately() write the buffer synchronously, for shutdown, after the text
+ * of the write in progress when it has not reached the log file yet.
+ *
+ * The log file can be rotated when it grows beyond logMaxSize bytes, each day, or on request (rotateLogFile()). The
+ * log file becomes file.1, file.1 becomes file.2 and so on, keeping logMaxFiles of them, compressed with gzip
+ * (file.1.gz) when logCompress is set. Messages logged while a rotation waits for the write in progress to finish
+ * stay in the buffer and are written to the new file.
+ *
+ * Tokens, passwords and other secrets in a message are masked by SecretRedactor before it is written or shown.
+ *
+ * Messages logged while a request is handled start with its request id, [id], so all the lines of one request can be
+ * found. The id follows the callbacks and promises started from runWithRequestId().
  */
 
 const fs = require('fs');
+const zlib = require('zlib');
+const stream = require('stream');
+const asyncHooks = require('async_hooks');
+const SecretRedactor = require('./SecretRedactor');
+
+const rotationCheckInterval = 10000; // milliseconds between checking if the log file is due for rotation
+const compressDelay = 1000; // milliseconds to give other processes writing to the log file to move on to the new one
+const logFlushInterval = 1000; // milliseconds messages may wait in the buffer
+const logFlushSize = 65536; // bytes waiting in the buffer that are written right away
+const defaultLogBufferSize = 1048576; // bytes
 
 var defaultLogFileName = 'arcgis-proxy.txt',
     logFileName = 'arcgis-proxy-node.log',
     logToConsole = true,
-    logLevelValue = 9;
+    logLevelValue = 9,
+    logMaxSize = 0,
+    logRotateDaily = false,
+    logMaxFiles = 5,
+    logCompress = false,
+    logFileDay = null,
+    rotationTimer = null,
+    rotationInProgress = null,
+    logStream = null,
+    logBuffer = [],
+    logBufferBytes = 0,
+    logBufferSize = defaultLogBufferSize,
+    droppedMessages = 0,
+    isWriting = false,
+    writingText = null, // the text of the write in progress, until it is done or written by flushLogFileImmediately()
+    writingStartSize = 0, // size of the log file when the write in progress started
+    flushTimer = null,
+    writesDoneCallbacks = [],
+    reopenOtherLogFiles = null,
+    requestContext = new asyncHooks.AsyncLocalStorage();
 
 
 // LOGLEVELs control what type of logging will appear in the log file and on the console.
@@ -43,6 +89,11 @@ module.exports.ifLogLevelGreaterOrEqual = function(logLevelLabel) {
  *    logToConsole: true,
  *    logFilePath: "./",
  *    logFileName: "file-name.txt",
+ *    logMaxSize: 10000000,
+ *    logRotateDaily: false,
+ *    logMaxFiles: 5,
+ *    logCompress: false,
+ *    logBufferSize: 1048576
  * }
  * @param configuration {object} see above.
  * @returns {boolean} true if a valid configuration is consumed, false if something is invalid and we cannot function.
@@ -54,6 +105,11 @@ module.exports.setConfiguration = function(configuration) {
 
     logToConsole = configuration.logConsole !== undefined ? configuration.logConsole == true : false;
     logLevelValue = configuration.logLevel !== undefined ? configuration.logLevel : this.LOGLEVEL.NONE.value;
+    logMaxSize = configuration.logMaxSize > 0 ? configuration.logMaxSize : 0;
+    logRotateDaily = configuration.logRotateDaily == true;
+    logMaxFiles = configuration.logMaxFiles >= 0 ? configuration.logMaxFiles : 5;
+    logCompress = configuration.logCompress == true;
+    logBufferSize = configuration.logBufferSize > 0 ? configuration.logBufferSize : defaultLogBufferSize;
     if (configuration.logFilePath != null || configuration.logFileName != null) {
         if (configuration.logFilePath == null) {
             logFilePath = './';
@@ -74,6 +130,10 @@ module.exports.setConfiguration = function(configuration) {
     } else {
         logFileName = './' + defaultLogFileName;
     }
+    if (logStream != null && logStream.path != logFileName) {
+        logStream.end();
+        logStream = null;
+    }
     if (logFileName != null) {
         try {
             fs.accessSync(logFilePath, fs.constants.R_OK | fs.constants.W_OK);
@@ -121,13 +181,9 @@ module.exports.logErrorEvent = function(message) {
  */
 module.exports.logEvent = function(logLevelForMessage, message) {
     if (logLevelForMessage <= logLevelValue) {
+        message = this.addRequestId(SecretRedactor.redactText(message));
         if (logFileName != null) {
-            fs.appendFile(logFileName, this.formatLogMessage(this.formatLogLevelKey(logLevelForMessage) + message), {flag: 'a'}, function (error) {
-                if (error != null) {
-                    console.log('*** Error writing to log file ' + logFileName + ": " + error.toString());
-                    throw error;
-                }
-            });
+            this.appendToLogFile(this.formatLogMessage(this.formatLogLevelKey(logLevelForMessage) + message));
         }
         if (logToConsole) {
             console.log(message);
@@ -135,6 +191,363 @@ module.exports.logEvent = function(logLevelForMessage, message) {
     }
 };
 
+/**
+ * Run a function with a request id: the messages it logs, and those logged by the callbacks and promises it starts,
+ * begin with the id.
+ * @param requestId {string} the id of the request being handled.
+ * @param callback {function} called with no parameters.
+ * @returns {*} what callback returns.
+ */
+module.exports.runWithRequestId = function(requestId, callback) {
+    return requestContext.run({requestId: requestId}, callback);
+};
+
+/**
+ * Get the id of the request being handled.
+ * @returns {string|null} the request id given to runWithRequestId(), null when we are not handling a request.
+ */
+module.exports.getRequestId = function() {
+    var context = requestContext.getStore();
+
+    return context !== undefined ? context.requestId : null;
+};
+
+/**
+ * Start a message with the id of the request being handled, if there is one.
+ * @param message {string}
+ * @returns {string}
+ */
+module.exports.addRequestId = function(message) {
+    var requestId = this.getRequestId();
+
+    return requestId != null ? '[' + requestId + '] ' + message : message;
+};
+
+/**
+ * Add formatted messages to the log buffer, they are written to the log file shortly. When the buffer is full the
+ * messages are dropped and counted.
+ * @param text {string} one or more formatted messages.
+ */
+module.exports.appendToLogFile = function(text) {
+    var textBytes = Buffer.byteLength(text);
+
+    if (logBufferBytes + textBytes > logBufferSize) {
+        droppedMessages ++;
+        return;
+    }
+    logBuffer.push(text);
+    logBufferBytes += textBytes;
+    if (logBufferBytes >= Math.min(logFlushSize, logBufferSize / 2)) {
+        this.flushLogBuffer();
+    } else if (flushTimer == null) {
+        flushTimer = setTimeout(this.flushLogBuffer.bind(this), logFlushInterval);
+        flushTimer.unref();
+    }
+};
+
+/**
+ * Take everything waiting in the log buffer, with a line about the messages we had to drop, if any.
+ * @returns {string}
+ */
+module.exports.takeLogBuffer = function() {
+    var text = logBuffer.join('');
+
+    if (droppedMessages > 0) {
+        text += this.formatLogMessage(this.formatLogLevelKey(this.LOGLEVEL.WARN.value) + droppedMessages + ' log messages dropped, the log buffer was full.');
+        droppedMessages = 0;
+    }
+    logBuffer = [];
+    logBufferBytes = 0;
+    return text;
+};
+
+/**
+ * Write the log buffer to the log file, unless a write or a rotation is already in progress: when the write is done
+ * whatever was logged in the meantime is written next.
+ */
+module.exports.flushLogBuffer = function() {
+    var quickLogger = this,
+        text;
+
+    if (flushTimer != null) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    if (isWriting || rotationInProgress != null || logFileName == null || (logBuffer.length == 0 && droppedMessages == 0)) {
+        return;
+    }
+    text = this.takeLogBuffer();
+    if (logStream == null) {
+        logStream = fs.createWriteStream(logFileName, {flags: 'a'});
+        logStream.on('error', function () {}); // reported by the write callback
+    }
+    isWriting = true;
+    writingText = text;
+    writingStartSize = this.getLogFileBytes();
+    logStream.write(text, function (error) {
+        isWriting = false;
+        writingText = null;
+        if (error != null) {
+            console.log('*** Error writing to log file ' + logFileName + ": " + error.toString());
+            logStream.destroy();
+            logStream = null; // try to open it again with the next write
+        }
+        if (logBuffer.length > 0 || droppedMessages > 0) {
+            quickLogger.flushLogBuffer();
+        } else {
+            writesDoneCallbacks.splice(0).forEach(function (callback) {
+                callback();
+            });
+        }
+    });
+};
+
+/**
+ * Write the log buffer to the log file synchronously, such as when the process is about to exit. When a write is in
+ * progress and its text is not in the log file yet it is written first, so the messages stay in order and none are
+ * lost when the process exits before the write is done.
+ */
+module.exports.flushLogFileImmediately = function() {
+    var text = '';
+
+    if (logFileName == null) {
+        return;
+    }
+    if (writingText != null) {
+        if ( ! this.isInLogFile(writingText, writingStartSize)) {
+            text = writingText;
+        }
+        writingText = null;
+    }
+    if (flushTimer != null) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    text += this.takeLogBuffer();
+    if (text.length == 0) {
+        return;
+    }
+    try {
+        fs.appendFileSync(logFileName, text);
+    } catch (error) {
+        console.log('*** Error writing to log file ' + logFileName + ": " + error.toString());
+    }
+};
+
+/**
+ * Determine if a text was written to the log file after a given position.
+ * @param text {string}
+ * @param startPosition {number} where in the log file to start looking.
+ * @returns {boolean} true if the text is in the log file, false if it is not or the log file cannot be read.
+ */
+module.exports.isInLogFile = function(text, startPosition) {
+    var fileDescriptor = null,
+        fileContents,
+        length;
+
+    try {
+        fileDescriptor = fs.openSync(logFileName, 'r');
+        length = Math.max(fs.fstatSync(fileDescriptor).size - startPosition, 0);
+        fileContents = Buffer.alloc(length);
+        fs.readSync(fileDescriptor, fileContents, 0, length, startPosition);
+        return fileContents.indexOf(text) >= 0;
+    } catch (error) {
+        return false;
+    } finally {
+        if (fileDescriptor != null) {
+            fs.closeSync(fileDescriptor);
+        }
+    }
+};
+
+/**
+ * Get the size of the log file.
+ * @returns {number} bytes, 0 if there is no log file.
+ */
+module.exports.getLogFileBytes = function() {
+    try {
+        return fs.statSync(logFileName).size;
+    } catch (error) {
+        return 0;
+    }
+};
+
+/**
+ * Rotate the log file now: once the write in progress is done the log file is renamed file.1 (the older ones move
+ * up one number, the oldest beyond logMaxFiles is removed) and a new log file is started. Messages logged in the
+ * meantime go to the new file. When the log file was already renamed, by an external log rotation, only the new log
+ * file is started.
+ * The other log files, see startLogRotation(), are reopened after each rotation, also when there is no log file.
+ * @returns {Promise} resolves once the new log file is started, with false if there was no log file to rotate.
+ */
+module.exports.rotateLogFile = function() {
+    var quickLogger = this;
+
+    if (logFileName == null) {
+        return Promise.resolve(reopenOtherLogFiles != null ? reopenOtherLogFiles() : null).then(function () {
+            return false;
+        });
+    }
+    if (rotationInProgress != null) {
+        return rotationInProgress;
+    }
+    rotationInProgress = this.waitForLogWrite().then(function () {
+        var isRotated = fs.existsSync(logFileName),
+            rotatedFileName = null;
+
+        quickLogger.closeLogStream();
+        try {
+            if (isRotated) {
+                rotatedFileName = quickLogger.shiftLogFiles();
+            }
+        } catch (error) {
+            console.log('*** Error rotating log file ' + logFileName + ": " + error.toString());
+        }
+        logFileDay = new Date().toDateString();
+        rotationInProgress = null;
+        quickLogger.flushLogBuffer();
+        // the other processes may still be writing to the rotated file, it is compressed once they moved on
+        Promise.resolve(reopenOtherLogFiles != null ? reopenOtherLogFiles() : null).then(function () {
+            if (rotatedFileName != null && logCompress) {
+                setTimeout(function () {
+                    quickLogger.compressLogFile(rotatedFileName);
+                }, compressDelay);
+            }
+        });
+        return isRotated;
+    });
+    return rotationInProgress;
+};
+
+/**
+ * Start writing to a new log file of the same name, once the write in progress is done. A process that does not
+ * rotate the log file itself calls this when another process rotated it, otherwise it keeps writing to the rotated
+ * file. Messages logged in the meantime are written to the new file.
+ * @returns {Promise} resolves once the log file is closed, the new one is opened with the next write.
+ */
+module.exports.reopenLogFile = function() {
+    var quickLogger = this;
+
+    if (rotationInProgress != null) {
+        return rotationInProgress.then(function () {});
+    }
+    rotationInProgress = this.waitForLogWrite().then(function () {
+        quickLogger.closeLogStream();
+        rotationInProgress = null;
+        quickLogger.flushLogBuffer();
+    });
+    return rotationInProgress;
+};
+
+/**
+ * Wait for the write in progress, if any.
+ * @returns {Promise} resolves once no write is in progress.
+ */
+module.exports.waitForLogWrite = function() {
+    return new Promise(function (resolvePromise) {
+        if ( ! isWriting) {
+            resolvePromise();
+        } else {
+            writesDoneCallbacks.push(resolvePromise);
+        }
+    });
+};
+
+/**
+ * Close the write stream of the log file, the next write opens the file by name again. The stream keeps writing to
+ * the file it opened, even once it is renamed. No write may be in progress.
+ */
+module.exports.closeLogStream = function() {
+    if (logStream != null) {
+        logStream.end();
+        logStream = null;
+    }
+};
+
+/**
+ * Rename the log file and the files rotated before it: file.1 becomes file.2 and so on, the one that would go beyond
+ * logMaxFiles is removed, then the log file becomes file.1. Files are renamed whether they are compressed or not.
+ * The log file must exist.
+ * @returns {string|null} the name the log file was renamed to, null if it was removed because we keep no files.
+ */
+module.exports.shiftLogFiles = function() {
+    var fileNumber,
+        rotatedFileName;
+
+    ['', '.gz'].forEach(function (extension) {
+        for (fileNumber = Math.max(logMaxFiles, 1); fileNumber >= 1; fileNumber --) {
+            rotatedFileName = logFileName + '.' + fileNumber + extension;
+            if (fs.existsSync(rotatedFileName)) {
+                if (fileNumber >= logMaxFiles) {
+                    fs.unlinkSync(rotatedFileName);
+                } else {
+                    fs.renameSync(rotatedFileName, logFileName + '.' + (fileNumber + 1) + extension);
+                }
+            }
+        }
+    });
+    if (logMaxFiles == 0) {
+        fs.unlinkSync(logFileName);
+        return null;
+    }
+    fs.renameSync(logFileName, logFileName + '.1');
+    return logFileName + '.1';
+};
+
+/**
+ * Compress a rotated log file with gzip, the file is replaced by the file name with .gz added.
+ * @param fileName {string}
+ */
+module.exports.compressLogFile = function(fileName) {
+    stream.pipeline(fs.createReadStream(fileName), zlib.createGzip(), fs.createWriteStream(fileName + '.gz'), function (error) {
+        if (error != null) {
+            console.log('*** Error compressing log file ' + fileName + ": " + error.toString());
+        } else {
+            fs.unlink(fileName, function () {});
+        }
+    });
+};
+
+/**
+ * Determine if the log file is due for rotation, because it grew beyond logMaxSize or, with logRotateDaily, it was
+ * started on another day, and rotate it if it is.
+ */
+module.exports.checkLogRotation = function() {
+    var quickLogger = this,
+        today = new Date().toDateString();
+
+    if (logFileName == null || rotationInProgress != null) {
+        return;
+    }
+    fs.stat(logFileName, function (error, fileStatus) {
+        if (error != null) {
+            return; // nothing logged yet
+        }
+        if (logFileDay == null) {
+            logFileDay = fileStatus.mtime.toDateString();
+        }
+        if ((logMaxSize > 0 && fileStatus.size >= logMaxSize) || (logRotateDaily && logFileDay != today && fileStatus.size > 0)) {
+            quickLogger.rotateLogFile();
+        }
+    });
+};
+
+/**
+ * Check the log file for rotation at regular intervals, when logMaxSize or logRotateDaily ask for it. Only one of the
+ * processes writing to a log file should do this, the others must call reopenLogFile() after each rotation.
+ * @param reopenOthers {function} optional, called after each rotation to have the other processes writing to
+ *   the log file call reopenLogFile(), and to reopen any other log file, such as the access log, a log rotation may
+ *   have renamed. It returns a Promise that resolves once they did, rotated files are compressed after that.
+ */
+module.exports.startLogRotation = function(reopenOthers) {
+    reopenOtherLogFiles = reopenOthers || null;
+    if (rotationTimer == null && (logMaxSize > 0 || logRotateDaily)) {
+        this.checkLogRotation();
+        rotationTimer = setInterval(this.checkLogRotation.bind(this), rotationCheckInterval);
+        rotationTimer.unref();
+    }
+};
+
 /**
  * Adds current date and CRLF to a log message.
  * @param message
@@ -201,12 +614,15 @@ module.exports.getLogLevelInfoFromLabel = function(logLevelLabel) {
 };
 
 /**
- * Synchronous file write for logging when we are in a critical situation, like shut down.
+ * Synchronous file write for logging when we are in a critical situation, like shut down. The messages waiting in the
+ * log buffer are written first.
  * @param logLevelForMessage {int} logging level for this message.
  * @param message {string} a message to show in the log.
  */
 module.exports.logEventImmediately = function(logLevelForMessage, message) {
+    this.flushLogFileImmediately();
     if (logLevelForMessage <= logLevelValue) {
+        message = this.addRequestId(SecretRedactor.redactText(message));
         if (logFileName != null) {
             fs.appendFileSync(logFileName, this.formatLogMessage(message));
         }
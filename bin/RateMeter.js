@@ -4,7 +4,18 @@
  * a persistent storage engine that will work when multiple Node processes are running
  * and contending for access to the data store.
  *
- * Each row in the database table tracks the resource utilization of each entry in the serverURLs table.
+ * Each row in the database table tracks the resource utilization of an entry in the serverURLs table by one referrer,
+ * one client IP address, or one client IP address of a referrer. Rows are created when the first request comes in and
+ * client rows are removed once they have been idle for a while. The counters survive a restart of the proxy, only the
+ * rows of serverUrls and referrers no longer in the configuration are removed when it starts or the configuration is
+ * reloaded. reset() removes them all.
+ *
+ * Quotas (dailyQuota, monthlyQuota) are counted in a separate table, by serverUrl and referrer, for calendar days and
+ * months in UTC. Only requests the rate limit lets through count against a quota.
+ *
+ * Every proxy process of a cluster opens the same database file. Each request is metered in its own transaction, the
+ * row is read and updated while the other processes wait, so they never let through requests based on the same
+ * counters.
  *
  * Since accessing the database requires asynchronous functions, most of the query functions
  * return a promise that will later resolve with the result.
@@ -14,15 +25,30 @@
 const sqlite3 = require('sqlite3');
 const fs = require('fs');
 
+const idleRowCollectionInterval = 60000; // milliseconds between removing idle client rows
+const defaultDatabaseFile = 'proxy.sqlite';
+const busyTimeout = 5000; // milliseconds to wait for another process to finish its transaction
+
 
-module.exports = function (serverURLs, allowedReferrers, logFunction) {
-    var dbName = "proxy.sqlite";
+module.exports = function (serverURLs, allowedReferrers, logFunction, databaseFile) {
+    var dbName = databaseFile || defaultDatabaseFile;
     var dbFileAccessMode = fs.constants.R_OK | fs.constants.W_OK;
     var dbConnection = null;
+    var databaseReady = null;
     var isNewDatabase = false;
     var serverURLConfig = serverURLs;
     var serverAllowedReferrers = allowedReferrers;
     var errorLoggingFunction = logFunction;
+    var collectionTimer = null;
+    var lastMeterUpdate = Promise.resolve();
+    var addedColumns = [ // columns a database from an older version of the proxy may be missing
+        {name: 'algorithm', definition: 'VARCHAR(32) not null default(\'fixedWindow\')'},
+        {name: 'previous', definition: 'INTEGER not null default(0)'},
+        {name: 'tokens', definition: 'REAL not null default(0)'},
+        {name: 'client', definition: 'VARCHAR(64) not null default(\'\')'},
+        {name: 'expires', definition: 'REAL not null default(0)'},
+        {name: 'exempt', definition: 'INTEGER not null default(0)'}
+    ];
 
     /**
      * Internal database error logger that formats a nice error message and then calls the provided
@@ -67,68 +93,169 @@ module.exports = function (serverURLs, allowedReferrers, logFunction) {
     }
 
     /**
-     * Create the entire database and all records we are going to rate monitor. We create all records in advance because
-     * we know them now and they won't change and we will save runtime overhead by not creating new rows and indexing.
+     * Get the rate limits that apply to a referrer accessing a serverUrl: its entry in the serverUrl referrerRateLimits
+     * if there is one, otherwise the serverUrl rate limits.
+     * @param serverURL {object} the serverUrls entry.
+     * @param referrer {string} the allowed referrer the request matched.
+     * @returns {object} {rateLimit, rateLimitPeriod, rateLimitBurst, rate, ratePeriodSeconds}, rate is 0 when the
+     *   referrer is not rate limited on this serverUrl.
+     */
+    function getRateLimits(serverURL, referrer) {
+        if (serverURL.referrerRateLimits != null && serverURL.referrerRateLimits.hasOwnProperty(referrer)) {
+            return serverURL.referrerRateLimits[referrer];
+        }
+        return serverURL;
+    }
+
+    /**
+     * Create the database tables. Rows are added as requests come in, one for each serverUrl and referrer, or client IP
+     * address, we meter. A database left by an older version of the proxy gets the columns it is missing. Rows of a
+     * database we already had are kept, except those of serverUrls and referrers no longer in the configuration.
+     * @returns {Promise} resolves once the tables are ready to use.
      */
     function createDatabaseIfNotExists() {
-        var sql,
-            params,
-            serverURL,
-            rate,
-            timeOfAccess = getMicroTime(),
-            serverIndex,
-            referrerIndex;
+        return new Promise(function(resolvePromise) {
+            if (dbConnection == null) {
+                resolvePromise();
+                return;
+            }
+            dbConnection.serialize(function() {
+                dbConnection.run('CREATE TABLE IF NOT EXISTS ips (id INTEGER PRIMARY KEY, url VARCHAR(255) not null, referrer VARCHAR(255) not null, client VARCHAR(64) not null default(\'\'), algorithm VARCHAR(32) not null default(\'fixedWindow\'), count INTEGER not null default(0), previous INTEGER not null default(0), tokens REAL not null default(0), rate INTEGER not null default(0), time INTEGER not null default(0), expires REAL not null default(0), exempt INTEGER not null default(0), total INTEGER not null default(0), rejected INTEGER not null default(0))');
+                dbConnection.run('DROP INDEX IF EXISTS url_referrer');
+                dbConnection.run('CREATE TABLE IF NOT EXISTS requests (ip INTEGER not null, time REAL not null)');
+                dbConnection.run('CREATE INDEX IF NOT EXISTS ip_time ON requests (ip, time)');
+                dbConnection.run('CREATE TABLE IF NOT EXISTS quotas (url VARCHAR(255) not null, referrer VARCHAR(255) not null, period VARCHAR(8) not null, start INTEGER not null, count INTEGER not null default(0), warned REAL not null default(0))');
+                dbConnection.run('CREATE UNIQUE INDEX IF NOT EXISTS url_referrer_period ON quotas (url, referrer, period)');
+                dbConnection.all('PRAGMA table_info(ips)', [], function(error, columns) {
+                    var columnNames;
 
-        if (dbConnection != null) {
+                    if (error != null) {
+                        logDatabaseError('createDatabaseIfNotExists', 'PRAGMA table_info(ips)', null, error);
+                        resolvePromise();
+                        return;
+                    }
+                    columnNames = columns.map(function(column) {
+                        return column.name;
+                    });
+                    dbConnection.serialize(function() {
+                        addedColumns.forEach(function(column) {
+                            if (columnNames.indexOf(column.name) < 0) {
+                                dbConnection.run('ALTER TABLE ips ADD COLUMN ' + column.name + ' ' + column.definition);
+                            }
+                        });
+                        dbConnection.run('DROP INDEX IF EXISTS url_referrer_client');
+                        dbConnection.run('CREATE UNIQUE INDEX IF NOT EXISTS url_referrer_client_exempt ON ips (url, referrer, client, exempt)');
+                        dbConnection.run('CREATE INDEX IF NOT EXISTS client_expires ON ips (client, expires)');
+                        pruneRemovedRows().then(resolvePromise);
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Remove the rows of serverUrls and referrers that are no longer in the configuration, along with their request
+     * log. The rows of those that are keep their counters.
+     * @returns {Promise} resolves once the rows are removed.
+     */
+    function pruneRemovedRows() {
+        var urls = (serverURLConfig || []).map(function(serverURL) {
+                return serverURL.url;
+            }),
+            referrers = (serverAllowedReferrers || []).map(function(allowedReferrer) {
+                return allowedReferrer.referrer;
+            }).concat('*'),
+            sql,
+            params;
+
+        return new Promise(function(resolvePromise) {
+            if (dbConnection == null) {
+                resolvePromise();
+                return;
+            }
             dbConnection.serialize(function() {
-                dbConnection.run('CREATE TABLE IF NOT EXISTS ips (id INTEGER PRIMARY KEY, url VARCHAR(255) not null, referrer VARCHAR(255) not null, count INTEGER not null default(0), rate INTEGER not null default(0), time INTEGER not null default(0), total INTEGER not null default(0), rejected INTEGER not null default(0))');
-                dbConnection.run('CREATE UNIQUE INDEX IF NOT EXISTS url_referrer ON ips (url, referrer)');
-                dbConnection.run('DELETE from ips');
-                sql = 'INSERT OR IGNORE INTO ips (url, referrer, count, rate, time, total, rejected) VALUES (?, ?, ?, ?, ?, ?, ?)';
-                for (serverIndex = 0; serverIndex < serverURLConfig.length; serverIndex ++) {
-                    serverURL = serverURLConfig[serverIndex];
-                    if (serverURL.useRateMeter) {
-                        for (referrerIndex = 0; referrerIndex < serverAllowedReferrers.length; referrerIndex ++) {
-                            params = [serverURL.url, serverAllowedReferrers[referrerIndex].referrer, 0, serverURL.rate, timeOfAccess, 0, 0];
-                            dbConnection.run(sql, params);
-                        }
+                sql = 'DELETE FROM ips WHERE url NOT IN (' + urls.map(function() { return '?'; }).join(',') + ') OR referrer NOT IN (' + referrers.map(function() { return '?'; }).join(',') + ')';
+                params = urls.concat(referrers);
+                dbConnection.run(sql, params, function (error) {
+                    if (error != null) {
+                        logDatabaseError('pruneRemovedRows', sql, params, error);
                     }
-                }
+                });
+                sql = 'DELETE FROM quotas WHERE url NOT IN (' + urls.map(function() { return '?'; }).join(',') + ') OR referrer NOT IN (' + referrers.map(function() { return '?'; }).join(',') + ')';
+                dbConnection.run(sql, params, function (error) {
+                    if (error != null) {
+                        logDatabaseError('pruneRemovedRows', sql, params, error);
+                    }
+                });
+                sql = 'DELETE FROM requests WHERE ip NOT IN (SELECT id FROM ips)';
+                dbConnection.run(sql, [], function (error) {
+                    if (error != null) {
+                        logDatabaseError('pruneRemovedRows', sql, null, error);
+                    }
+                    resolvePromise();
+                });
             });
-        }
+        });
     }
 
     /**
-     * Refresh the entire table. This function will rebuild the entire table. When you call this function all current
-     * counters and rate meters are removed.
+     * Use a new serverUrls table and allowedReferrers list. Counters of the serverUrls and referrers that are still
+     * there carry on, those of the ones that were removed are dropped once the requests being metered are done.
      * @param newServerUrlTable
      * @param newReferrers
+     * @returns {Promise} resolves once the rows of removed serverUrls and referrers are gone.
      */
     function refreshServerUrls(newServerUrlTable, newReferrers) {
-        var serverIndex,
-            referrerIndex,
-            serverURL,
-            timeOfAccess = getMicroTime(),
-            sql,
-            params;
-
         serverURLConfig = newServerUrlTable;
         serverAllowedReferrers = newReferrers;
-        if (dbConnection != null) {
-            dbConnection.serialize(function() {
-                dbConnection.run('TRUNCATE TABLE ips');
-                sql = 'INSERT OR IGNORE INTO ips (url, referrer, count, rate, time, total, rejected) VALUES (?, ?, ?, ?, ?, ?, ?)';
-                for (serverIndex = 0; serverIndex < newServerUrlTable.length; serverIndex ++) {
-                    serverURL = newServerUrlTable[serverIndex];
-                    if (serverURL.useRateMeter) {
-                        for (referrerIndex = 0; referrerIndex < newReferrers.length; referrerIndex ++) {
-                            params = [serverURL.url, newReferrers[referrerIndex], 0, serverURL.rate, timeOfAccess, 0, 0];
-                            dbConnection.run(sql, params);
+        return queueMeterUpdate(pruneRemovedRows).catch(function () {});
+    }
+
+    /**
+     * Remove every row, all counters and totals start again from zero.
+     * @returns {Promise} resolves once the rows are removed.
+     */
+    function resetAllRows() {
+        if (databaseReady == null) {
+            return Promise.reject(new Error('Database connection was not open. Call start() first.'));
+        }
+        return databaseReady.then(function() {
+            return new Promise(function(resolvePromise, rejectPromise) {
+                dbConnection.serialize(function() {
+                    dbConnection.run('DELETE FROM requests');
+                    dbConnection.run('DELETE FROM quotas');
+                    dbConnection.run('DELETE FROM ips', [], function (error) {
+                        if (error != null) {
+                            logDatabaseError('resetAllRows', 'DELETE FROM ips', null, error);
+                            rejectPromise(error);
+                        } else {
+                            resolvePromise();
                         }
-                    }
-                }
+                    });
+                });
             });
+        });
+    }
+
+    /**
+     * Remove the client IP address rows that have been idle long enough for their counters to be back where they
+     * started, along with their request log. Without this the table grows with every client that ever made a request.
+     * Referrer rows are kept, there is a fixed number of them and they hold the totals on the status page. Rows are
+     * removed between the requests being metered, not while one is using them.
+     * @returns {Promise} resolves once the rows are removed, database errors are only logged.
+     */
+    function collectIdleRows() {
+        if (dbConnection == null) {
+            return Promise.resolve();
         }
+        return queueMeterUpdate(function () {
+            if (dbConnection == null) {
+                return Promise.resolve();
+            }
+            return runStatement("DELETE FROM ips WHERE client<>'' AND expires<?", [getMicroTime()]).then(function () {
+                return runStatement('DELETE FROM requests WHERE ip NOT IN (SELECT id FROM ips)');
+            });
+        }).catch(function () {});
     }
 
     /**
@@ -138,7 +265,23 @@ module.exports = function (serverURLs, allowedReferrers, logFunction) {
     function openDatabase() {
         if (dbConnection == null) {
             isNewDatabase = false; // ! fs.accessSync(dbName, dbFileAccessMode); // TODO: why does this fail?
-            dbConnection = new sqlite3.Database(dbName, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, createDatabaseIfNotExists);
+            databaseReady = new Promise(function(resolvePromise) {
+                dbConnection = new sqlite3.Database(dbName, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, function(error) {
+                    if (error != null) {
+                        logDatabaseError('openDatabase', dbName, null, error);
+                        resolvePromise();
+                    } else {
+                        // other proxy processes may be writing, wait for them and let them read while we write
+                        dbConnection.configure('busyTimeout', busyTimeout);
+                        dbConnection.run('PRAGMA journal_mode=WAL', [], function (error) {
+                            if (error != null) {
+                                logDatabaseError('openDatabase', 'PRAGMA journal_mode=WAL', null, error);
+                            }
+                        });
+                        createDatabaseIfNotExists().then(resolvePromise);
+                    }
+                });
+            });
             if (dbConnection != null) {
                 if (isNewDatabase) {
                     fs.chmodSync(dbName, '770');
@@ -155,6 +298,7 @@ module.exports = function (serverURLs, allowedReferrers, logFunction) {
         if (dbConnection != null) {
             dbConnection.close();
             dbConnection = null;
+            databaseReady = null;
         }
     }
 
@@ -208,7 +352,7 @@ module.exports = function (serverURLs, allowedReferrers, logFunction) {
                 openDatabase();
             }
             if (dbConnection != null) {
-                sql = "SELECT id, url, referrer, total, count, rejected, rate, time FROM ips";
+                sql = "SELECT id, url, referrer, client, exempt, algorithm, total, count, rejected, rate, time FROM ips";
                 params = [];
                 dbConnection.all(sql, params, function (error, queryResult) {
                     if (error != null) {
@@ -225,78 +369,566 @@ module.exports = function (serverURLs, allowedReferrers, logFunction) {
         return promise;
     }
 
+    /**
+     * Fixed window: up to rateLimit requests from the start of a window until rateLimitPeriod has passed, then the
+     * count starts over. Simple and cheap, but a burst at the end of one window followed by a burst at the start of the
+     * next lets through twice the limit.
+     * @param row {object} the ips table row for the serverUrl and referrer.
+     * @param limits {object} the rate limits for the serverUrl and referrer, see getRateLimits().
+     * @param timeOfRequest {number} seconds.
+     * @returns {object} the new meter state {isOK, count, time, limit, remaining, reset, retryAfter}.
+     */
+    function meterFixedWindow(row, limits, timeOfRequest) {
+        var meterState;
+
+        if (row.count == 0 || row.time + limits.ratePeriodSeconds <= timeOfRequest) {
+            // either the first time in, or the prior time window has expired
+            meterState = {isOK: true, count: 1, time: timeOfRequest};
+        } else if (row.count < limits.rateLimit) {
+            // in the current time window we have not yet given out the maximum number of hits
+            meterState = {isOK: true, count: row.count + 1, time: row.time};
+        } else {
+            // already gave out the limit for the current time window
+            meterState = {isOK: false, count: row.count, time: row.time};
+        }
+        meterState.limit = limits.rateLimit;
+        meterState.remaining = limits.rateLimit - meterState.count;
+        meterState.reset = meterState.time + limits.ratePeriodSeconds - timeOfRequest;
+        meterState.retryAfter = meterState.reset;
+        return meterState;
+    }
+
+    /**
+     * Sliding window counter: windows are aligned to rateLimitPeriod and we keep the count of the current and the
+     * previous window. The previous window count is weighted by how much of it still overlaps the sliding window
+     * ending now. Close to the sliding window log at the cost of two numbers.
+     * @param row {object} the ips table row for the serverUrl and referrer.
+     * @param limits {object} the rate limits for the serverUrl and referrer, see getRateLimits().
+     * @param timeOfRequest {number} seconds.
+     * @returns {object} the new meter state {isOK, count, previous, time, limit, remaining, reset, retryAfter}.
+     */
+    function meterSlidingWindowCounter(row, limits, timeOfRequest) {
+        var period = limits.ratePeriodSeconds,
+            windowStart = Math.floor(timeOfRequest / period) * period,
+            windowEnd = windowStart + period,
+            count = row.count,
+            previous = row.previous,
+            estimatedCount,
+            meterState;
+
+        if (row.time < windowStart) {
+            // a new window started since the last request, the current window becomes the previous one if it was adjacent
+            previous = row.time >= windowStart - period ? count : 0;
+            count = 0;
+        }
+        estimatedCount = previous * (1 - (timeOfRequest - windowStart) / period) + count;
+        if (estimatedCount < limits.rateLimit) {
+            count ++;
+            estimatedCount ++;
+            meterState = {isOK: true, count: count, previous: previous, time: windowStart};
+        } else {
+            meterState = {isOK: false, count: count, previous: previous, time: windowStart};
+        }
+        meterState.limit = limits.rateLimit;
+        meterState.remaining = Math.max(0, Math.floor(limits.rateLimit - estimatedCount));
+        // the estimate is back to 0 once the current window has slid out of the period
+        meterState.reset = windowEnd + (count > 0 ? period : 0) - timeOfRequest;
+        if (count < limits.rateLimit) {
+            // wait for enough of the previous window to slide out
+            meterState.retryAfter = previous > 0 ? windowStart + period * (1 - (limits.rateLimit - count) / previous) - timeOfRequest : 0;
+        } else {
+            // wait for the next window, and then for enough of this one to slide out
+            meterState.retryAfter = windowEnd + period * (1 - limits.rateLimit / count) - timeOfRequest;
+        }
+        return meterState;
+    }
+
+    /**
+     * Token bucket: the bucket holds up to rateLimitBurst tokens and refills at rateLimit per rateLimitPeriod. Each
+     * request takes a token, allowing short bursts while holding the long term average to the rate.
+     * @param row {object} the ips table row for the serverUrl and referrer.
+     * @param limits {object} the rate limits for the serverUrl and referrer, see getRateLimits().
+     * @param timeOfRequest {number} seconds.
+     * @returns {object} the new meter state {isOK, count, tokens, time, limit, remaining, reset, retryAfter}.
+     */
+    function meterTokenBucket(row, limits, timeOfRequest) {
+        var tokens = Math.min(limits.rateLimitBurst, row.tokens + Math.max(0, timeOfRequest - row.time) * limits.rate),
+            isOK = tokens >= 1;
+
+        if (isOK) {
+            tokens --;
+        }
+        return {
+            isOK: isOK,
+            count: row.count,
+            tokens: tokens,
+            time: timeOfRequest,
+            limit: limits.rateLimitBurst,
+            remaining: Math.floor(tokens),
+            reset: (limits.rateLimitBurst - tokens) / limits.rate, // until the bucket is full again
+            retryAfter: Math.max(0, 1 - tokens) / limits.rate // until there is a token
+        };
+    }
+
+    /**
+     * Sliding window log: the time of every accepted request within the last rateLimitPeriod is kept in the requests
+     * table, a request is accepted while there are fewer than rateLimit of them. Exact, but it stores a row per request.
+     * @param row {object} the ips table row for the serverUrl and referrer.
+     * @param limits {object} the rate limits for the serverUrl and referrer, see getRateLimits().
+     * @param timeOfRequest {number} seconds.
+     * @returns {Promise} resolves with the new meter state {isOK, count, time, limit, remaining, reset, retryAfter}.
+     */
+    function meterSlidingWindowLog(row, limits, timeOfRequest) {
+        return new Promise(function(resolvePromise, rejectPromise) {
+            var sql,
+                params;
+
+            dbConnection.serialize(function() {
+                sql = 'DELETE FROM requests WHERE ip=? AND time<=?';
+                params = [row.id, timeOfRequest - limits.ratePeriodSeconds];
+                dbConnection.run(sql, params, function (error) {
+                    if (error != null) {
+                        logDatabaseError('meterSlidingWindowLog', sql, params, error);
+                    }
+                });
+                sql = 'SELECT count(*) as count, min(time) as oldest, max(time) as newest FROM requests WHERE ip=?';
+                params = [row.id];
+                dbConnection.get(sql, params, function (error, queryResult) {
+                    var meterState;
+
+                    if (error != null) {
+                        logDatabaseError('meterSlidingWindowLog', sql, params, error);
+                        rejectPromise(error);
+                        return;
+                    } else if (queryResult.count < limits.rateLimit) {
+                        sql = 'INSERT INTO requests (ip, time) VALUES (?, ?)';
+                        params = [row.id, timeOfRequest];
+                        dbConnection.run(sql, params, function (error) {
+                            if (error != null) {
+                                logDatabaseError('meterSlidingWindowLog', sql, params, error);
+                            }
+                        });
+                        meterState = {isOK: true, count: queryResult.count + 1, time: timeOfRequest};
+                        queryResult.oldest = queryResult.count > 0 ? queryResult.oldest : timeOfRequest;
+                        queryResult.newest = timeOfRequest;
+                    } else {
+                        meterState = {isOK: false, count: queryResult.count, time: row.time};
+                    }
+                    meterState.limit = limits.rateLimit;
+                    meterState.remaining = limits.rateLimit - meterState.count;
+                    meterState.reset = queryResult.newest + limits.ratePeriodSeconds - timeOfRequest; // when every logged request has expired
+                    meterState.retryAfter = queryResult.oldest + limits.ratePeriodSeconds - timeOfRequest;
+                    resolvePromise(meterState);
+                });
+            });
+        });
+    }
+
+    /**
+     * Run the rate limit algorithm configured for the serverUrl.
+     * @param row {object} the ips table row for the serverUrl and referrer.
+     * @param serverURL {object} the serverUrls entry.
+     * @param timeOfRequest {number} seconds.
+     * @returns {Promise} resolves with the new meter state, isOK is true when the request is allowed.
+     */
+    function runRateLimitAlgorithm(row, serverURL, timeOfRequest) {
+        var limits = getRateLimits(serverURL, row.referrer);
+
+        switch (serverURL.rateLimitAlgorithm) {
+            case 'slidingWindowLog':
+                return meterSlidingWindowLog(row, limits, timeOfRequest);
+            case 'slidingWindowCounter':
+                return Promise.resolve(meterSlidingWindowCounter(row, limits, timeOfRequest));
+            case 'tokenBucket':
+                return Promise.resolve(meterTokenBucket(row, limits, timeOfRequest));
+            default:
+                return Promise.resolve(meterFixedWindow(row, limits, timeOfRequest));
+        }
+    }
+
+    /**
+     * Find the row that meters a serverUrl for a referrer and client, creating it the first time we see them.
+     * @param url {string} the serverUrl url.
+     * @param referrer {string} the allowed referrer the request matched, * when metering by client only.
+     * @param client {string} the client IP address, empty when metering by referrer only.
+     * @param exempt {number} 1 for the row counting the requests that are exempt from rate limits, 0 otherwise.
+     * @param limits {object} the rate limits for the row, to start a new token bucket full.
+     * @param timeOfRequest {number} seconds.
+     * @returns {Promise} resolves with the row.
+     */
+    function getMeterRow(url, referrer, client, exempt, limits, timeOfRequest) {
+        return new Promise(function(resolvePromise, rejectPromise) {
+            var selectSql = "SELECT id, url, referrer, client, total, count, previous, tokens, rate, time FROM ips WHERE url=? and referrer=? and client=? and exempt=?",
+                insertSql = "INSERT OR IGNORE INTO ips (url, referrer, client, exempt, count, previous, tokens, rate, time, expires, total, rejected) VALUES (?, ?, ?, ?, 0, 0, ?, ?, ?, ?, 0, 0)",
+                params = [url, referrer, client, exempt];
+
+            dbConnection.get(selectSql, params, function (error, queryResult) {
+                if (error != null) {
+                    logDatabaseError('getMeterRow', selectSql, params, error);
+                    rejectPromise(error);
+                } else if (queryResult != null) {
+                    resolvePromise(queryResult);
+                } else {
+                    // another process may add the same row at the same time, the unique index keeps only one of them.
+                    dbConnection.serialize(function () {
+                        dbConnection.run(insertSql, [url, referrer, client, exempt, limits.rateLimitBurst, limits.rate, timeOfRequest, timeOfRequest], function (error) {
+                            if (error != null) {
+                                logDatabaseError('getMeterRow', insertSql, params, error);
+                            }
+                        });
+                        dbConnection.get(selectSql, params, function (error, queryResult) {
+                            if (error != null || queryResult == null) {
+                                error = error || new Error('no record exists for ' + referrer + ', ' + client + ', ' + url);
+                                logDatabaseError('getMeterRow', selectSql, params, error);
+                                rejectPromise(error);
+                            } else {
+                                resolvePromise(queryResult);
+                            }
+                        });
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * List the quotas that apply to a request and the calendar period each one is counted in right now.
+     * @param limits {object} the rate limits for the serverUrl and referrer, see getRateLimits().
+     * @param timeOfRequest {number} seconds.
+     * @returns {Array} a {period, quota, start, end} for each quota that is set, period is day or month, start and end
+     *   are the seconds the period starts and ends at.
+     */
+    function getQuotas(limits, timeOfRequest) {
+        var date = new Date(timeOfRequest * 1000),
+            year = date.getUTCFullYear(),
+            month = date.getUTCMonth(),
+            day = date.getUTCDate(),
+            quotas = [];
+
+        if (limits.dailyQuota > 0) {
+            quotas.push({period: 'day', quota: limits.dailyQuota, start: Date.UTC(year, month, day) / 1000, end: Date.UTC(year, month, day + 1) / 1000});
+        }
+        if (limits.monthlyQuota > 0) {
+            quotas.push({period: 'month', quota: limits.monthlyQuota, start: Date.UTC(year, month, 1) / 1000, end: Date.UTC(year, month + 1, 1) / 1000});
+        }
+        return quotas;
+    }
+
+    /**
+     * Find how much of each quota a referrer used on a serverUrl in the current period.
+     * @param url {string} the serverUrl url.
+     * @param referrer {string} the allowed referrer the request matched.
+     * @param quotas {Array} the quotas that apply, see getQuotas().
+     * @returns {Promise} resolves with the quotas, each one with used (requests counted this period) and warned (the
+     *   highest warning threshold already logged this period) added.
+     */
+    function getQuotaUsage(url, referrer, quotas) {
+        return Promise.all(quotas.map(function (quota) {
+            return new Promise(function (resolvePromise, rejectPromise) {
+                var sql = 'SELECT start, count, warned FROM quotas WHERE url=? AND referrer=? AND period=?',
+                    params = [url, referrer, quota.period];
+
+                dbConnection.get(sql, params, function (error, queryResult) {
+                    if (error != null) {
+                        logDatabaseError('getQuotaUsage', sql, params, error);
+                        rejectPromise(error);
+                    } else {
+                        // a row from an earlier period means the quota has started over
+                        quota.used = queryResult != null && queryResult.start == quota.start ? queryResult.count : 0;
+                        quota.warned = queryResult != null && queryResult.start == quota.start ? queryResult.warned : 0;
+                        resolvePromise(quota);
+                    }
+                });
+            });
+        }));
+    }
+
+    /**
+     * Count a request against each quota and find the warning thresholds it reached.
+     * @param url {string} the serverUrl url.
+     * @param referrer {string} the allowed referrer the request matched.
+     * @param quotas {Array} the quotas with their usage, see getQuotaUsage().
+     * @param warningThresholds {Array} percentages of a quota worth a warning, in increasing order.
+     * @returns {Promise} resolves with a {period, quota, used, threshold} for each quota that reached a warning
+     *   threshold it had not reached before in this period.
+     */
+    function countQuotaRequest(url, referrer, quotas, warningThresholds) {
+        return Promise.all(quotas.map(function (quota) {
+            return new Promise(function (resolvePromise) {
+                var sql = 'INSERT OR REPLACE INTO quotas (url, referrer, period, start, count, warned) VALUES (?, ?, ?, ?, ?, ?)',
+                    warning = null,
+                    params;
+
+                quota.used ++;
+                (warningThresholds || []).forEach(function (threshold) {
+                    if (threshold > quota.warned && quota.used * 100 >= threshold * quota.quota) {
+                        warning = {period: quota.period, quota: quota.quota, used: quota.used, threshold: threshold};
+                    }
+                });
+                if (warning != null) {
+                    quota.warned = warning.threshold;
+                }
+                params = [url, referrer, quota.period, quota.start, quota.used, quota.warned];
+                dbConnection.run(sql, params, function (error) {
+                    if (error != null) {
+                        logDatabaseError('countQuotaRequest', sql, params, error);
+                    }
+                    resolvePromise(warning);
+                });
+            });
+        })).then(function (warnings) {
+            return warnings.filter(function (warning) {
+                return warning != null;
+            });
+        });
+    }
+
+    /**
+     * Report where a quota stands the way a rate status does.
+     * @param quota {object} a quota with its usage, see getQuotaUsage().
+     * @param isUnderQuota {boolean} true when the request was accepted.
+     * @param timeOfRequest {number} seconds.
+     * @returns {object} rate status {isUnderRate, limit, remaining, reset, retryAfter}, the quota resets when its
+     *   period ends.
+     */
+    function getQuotaRateStatus(quota, isUnderQuota, timeOfRequest) {
+        var secondsToReset = Math.max(1, Math.ceil(quota.end - timeOfRequest));
+
+        return {
+            isUnderRate: isUnderQuota,
+            limit: quota.quota,
+            remaining: Math.max(0, quota.quota - quota.used),
+            reset: secondsToReset,
+            retryAfter: isUnderQuota ? 0 : secondsToReset
+        };
+    }
+
+    /**
+     * List the usage of every quota that requests were counted against, for the status page.
+     * @returns {Promise} resolves with a {url, referrer, period, quota, used, remaining, resets} for each quota, resets
+     *   is the Date the quota starts over.
+     */
+    function getQuotaStatus() {
+        var sql = 'SELECT url, referrer, period, start, count FROM quotas ORDER BY url, referrer, period';
+
+        return new Promise(function (resolvePromise, rejectPromise) {
+            if (dbConnection == null) {
+                rejectPromise(new Error('Database connection was not open. Call start() first.'));
+                return;
+            }
+            dbConnection.all(sql, [], function (error, queryResult) {
+                var timeNow = getMicroTime(),
+                    quotaStatus = [];
+
+                if (error != null) {
+                    logDatabaseError('getQuotaStatus', sql, null, error);
+                    rejectPromise(error);
+                    return;
+                }
+                queryResult.forEach(function (row) {
+                    var serverURL = (serverURLConfig || []).find(function (serverURLInfo) {
+                            return serverURLInfo.url == row.url;
+                        }),
+                        quota;
+
+                    if (serverURL !== undefined) {
+                        quota = getQuotas(getRateLimits(serverURL, row.referrer), timeNow).find(function (currentQuota) {
+                            return currentQuota.period == row.period;
+                        });
+                        if (quota !== undefined) {
+                            quota.used = row.start == quota.start ? row.count : 0;
+                            quotaStatus.push({
+                                url: row.url,
+                                referrer: row.referrer,
+                                period: row.period,
+                                quota: quota.quota,
+                                used: quota.used,
+                                remaining: Math.max(0, quota.quota - quota.used),
+                                resets: new Date(quota.end * 1000)
+                            });
+                        }
+                    }
+                });
+                resolvePromise(quotaStatus);
+            });
+        });
+    }
+
+    /**
+     * Run a database statement.
+     * @param sql {string}
+     * @param params {Array} optional, the values of the parameters of the statement.
+     * @returns {Promise} resolves once the statement ran, rejects with the database error.
+     */
+    function runStatement(sql, params) {
+        return new Promise(function (resolvePromise, rejectPromise) {
+            dbConnection.run(sql, params || [], function (error) {
+                if (error != null) {
+                    logDatabaseError('runStatement', sql, params || null, error);
+                    rejectPromise(error);
+                } else {
+                    resolvePromise();
+                }
+            });
+        });
+    }
+
+    /**
+     * Read and update the meter rows in a transaction, so another proxy process using the same database cannot read
+     * them until we are done. BEGIN IMMEDIATE takes the write lock right away, a process that already has it makes us
+     * wait up to busyTimeout.
+     * @param work {function} called with no parameters once the transaction started, returns a Promise.
+     * @returns {Promise} resolves with the result of work once it is committed, everything is rolled back when work
+     *   fails.
+     */
+    function inTransaction(work) {
+        if (dbConnection == null) {
+            return work();
+        }
+        return runStatement('BEGIN IMMEDIATE').then(function () {
+            return work().then(function (result) {
+                return runStatement('COMMIT').then(function () {
+                    return result;
+                });
+            }, function (error) {
+                return runStatement('ROLLBACK').then(function () {
+                    throw error;
+                }, function () {
+                    throw error;
+                });
+            });
+        });
+    }
+
+    /**
+     * Run work in a transaction once the meter updates queued before it are done, the first ones also wait for the
+     * tables to be ready. Metering a request, collecting idle rows and pruning rows on a reload go through here, one
+     * at a time, so none runs inside the transaction of another and a request never sees rows change under it.
+     * @param work {function} called with no parameters, returns a Promise.
+     * @returns {Promise} resolves with the result of work once it is committed, rejects when it fails.
+     */
+    function queueMeterUpdate(work) {
+        var promise = Promise.all([lastMeterUpdate, databaseReady]).then(function () {
+            return inTransaction(work);
+        });
+
+        lastMeterUpdate = promise.catch(function () {});
+        return promise;
+    }
+
     /**
      * Determine if the monitored resource (by its id) is under it's allotted rate monitor cap. When returning true
-     * this function also updates the monitored rate.
+     * this function also updates the monitored rate. The serverUrl rateLimitBy setting decides what is metered: the
+     * referrer, the client IP address, or each client IP address of each referrer.
      * @param referrer {string} the referrer to track.
      * @param serverURL {object} the URL info we are tracking that matches this request.
-     * @returns {Promise} returns a Promise where the resolve function is passed a boolean that is false if this resource exceeded its rate.
+     * @param clientAddress {string} the IP address of the client making the request.
+     * @param isQueued {boolean} true when asking again for a request waiting in a queue, it was already counted as
+     *   rejected so it is not counted again.
+     * @returns {Promise} returns a Promise where the resolve function is passed the rate status {isUnderRate, limit,
+     *   remaining, reset, retryAfter}. isUnderRate is false if this resource exceeded its rate. limit is the number of
+     *   requests allowed (0 when the request is not rate limited), remaining how many are left, reset the seconds until
+     *   the quota is back to its full limit, and retryAfter, when isUnderRate is false, the seconds until a request
+     *   will be accepted again. When the request reached a quota warning threshold quotaWarnings lists them, see
+     *   countQuotaRequest().
      */
-    function isUnderMeterCap(referrer, serverURL) {
+    function isUnderMeterCap(referrer, serverURL, clientAddress, isQueued) {
+        // one request at a time reads and updates the meter rows, otherwise concurrent requests all see the same
+        // counters and are all let through.
+        return queueMeterUpdate(function () {
+            return meterRequest(referrer, serverURL, clientAddress, isQueued);
+        });
+    }
+
+    /**
+     * Meter a request, see isUnderMeterCap(). Only one request may be metered at a time. A request over a quota is
+     * turned down without counting it against the rate limit, a request the rate limit turns down does not count
+     * against the quotas.
+     * @param referrer {string} the referrer to track.
+     * @param serverURL {object} the URL info we are tracking that matches this request.
+     * @param clientAddress {string} the IP address of the client making the request.
+     * @param isQueued {boolean} true when asking again for a request waiting in a queue.
+     * @returns {Promise} resolves with the rate status {isUnderRate, limit, remaining, reset, retryAfter, quotaWarnings}.
+     */
+    function meterRequest(referrer, serverURL, clientAddress, isQueued) {
         var timeOfRequest = getMicroTime(),
-            newCount,
-            refreshTime,
+            quotas = getQuotas(getRateLimits(serverURL, referrer), timeOfRequest);
+
+        if (quotas.length == 0 || dbConnection == null) {
+            return meterRate(referrer, serverURL, clientAddress, isQueued, timeOfRequest);
+        }
+        return getQuotaUsage(serverURL.url, referrer, quotas).then(function (quotas) {
+            var exceededQuota = quotas.find(function (quota) {
+                return quota.used >= quota.quota;
+            });
+
+            if (exceededQuota !== undefined) {
+                return getQuotaRateStatus(exceededQuota, false, timeOfRequest);
+            }
+            return meterRate(referrer, serverURL, clientAddress, isQueued, timeOfRequest).then(function (rateStatus) {
+                if ( ! rateStatus.isUnderRate) {
+                    return rateStatus;
+                }
+                return countQuotaRequest(serverURL.url, referrer, quotas, serverURL.quotaWarningThresholds).then(function (quotaWarnings) {
+                    if (rateStatus.limit == 0) {
+                        // no rate limit, tell the client about the quota it is closest to running out of
+                        rateStatus = getQuotaRateStatus(quotas.reduce(function (closestQuota, quota) {
+                            return quota.quota - quota.used < closestQuota.quota - closestQuota.used ? quota : closestQuota;
+                        }), true, timeOfRequest);
+                    }
+                    rateStatus.quotaWarnings = quotaWarnings;
+                    return rateStatus;
+                });
+            });
+        });
+    }
+
+    /**
+     * Count a request against the rate limit, see isUnderMeterCap().
+     * @param referrer {string} the referrer to track.
+     * @param serverURL {object} the URL info we are tracking that matches this request.
+     * @param clientAddress {string} the IP address of the client making the request.
+     * @param isQueued {boolean} true when asking again for a request waiting in a queue.
+     * @param timeOfRequest {number} seconds.
+     * @returns {Promise} resolves with the rate status {isUnderRate, limit, remaining, reset, retryAfter}.
+     */
+    function meterRate(referrer, serverURL, clientAddress, isQueued, timeOfRequest) {
+        var meterReferrer = serverURL.rateLimitBy == 'ip' ? '*' : referrer,
+            meterClient = serverURL.rateLimitBy == 'ip' || serverURL.rateLimitBy == 'ipAndReferrer' ? (clientAddress || '') : '',
+            limits = getRateLimits(serverURL, meterReferrer),
             sql,
             params,
-            promise,
-            isOK = false;
+            promise;
 
         promise = new Promise(function(resolvePromise, rejectPromise) {
-            if (dbConnection != null) {
+            if (limits.rate == 0) {
+                // this referrer is not rate limited on this serverUrl
+                resolvePromise({isUnderRate: true, limit: 0, remaining: 0, reset: 0, retryAfter: 0});
+            } else if (dbConnection != null) {
                 // read db by url to get current data (since other threads may also be updating it.)
-                // check if count exceeded
-                // if not, update record with new count and timestamp.
-
-                dbConnection.serialize(function () {
-                    sql = "SELECT id, url, referrer, total, count, rate, time FROM ips WHERE referrer=? and url=?";
-                    params = [referrer, serverURL.url];
+                // let the algorithm decide if the request is allowed, then update the record with its new state.
+                getMeterRow(serverURL.url, meterReferrer, meterClient, 0, limits, timeOfRequest).then(function (meterRow) {
+                    return runRateLimitAlgorithm(meterRow, serverURL, timeOfRequest).then(function (meterState) {
+                        // the row can go once every counter is back to its starting point
+                        var expires = timeOfRequest + Math.max(2 * limits.ratePeriodSeconds, limits.rateLimitBurst / limits.rate);
 
-                    dbConnection.get(sql, params, function (error, queryResult) {
-                        if (error != null) {
-                            logDatabaseError('selectLastRequest', sql, params, error);
-                            rejectPromise(error);
-                        } else {
-                            if (queryResult != null) {
-                                if (queryResult.count == 0 || (queryResult.time + serverURL.ratePeriodSeconds <= timeOfRequest)) {
-                                    // either the first time in, or the prior time window has expired
-                                    newCount = 1;
-                                    refreshTime = timeOfRequest;
-                                    isOK = true;
-                                } else if (queryResult.count < serverURL.rate) {
-                                    // in the current time window we have not yet given out the maximum number of hits
-                                    newCount = queryResult.count + 1;
-                                    refreshTime = queryResult.time;
-                                    isOK = true;
-                                // } else {
-                                    // already gave out the limit for the current time window
-                                    // isOK = false;
-                                }
-                                if (isOK) {
-                                    sql = "UPDATE ips SET total=total+1, count=?, time=? WHERE id=?";
-                                    params = [newCount, refreshTime, queryResult.id];
-                                    dbConnection.run(sql, params, function (error) {
-                                        if (error != null) {
-                                            logDatabaseError('updateRequest', sql, params, error);
-                                        }
-                                    });
-                                } else {
-                                    sql = "UPDATE ips SET rejected=rejected+1 WHERE id=?";
-                                    params = [queryResult.id];
-                                    dbConnection.run(sql, params, function (error) {
-                                        if (error != null) {
-                                            logDatabaseError('updateRequest', sql, params, error);
-                                        }
-                                    });
-                                }
-                                resolvePromise(isOK);
-                            } else {
-                                error = new Error('no record exists for ' + referrer + ', ' + url);
-                                logDatabaseError('selectLastRequest', sql, params, error);
-                                resolvePromise(error);
+                        sql = "UPDATE ips SET total=total+?, rejected=rejected+?, algorithm=?, count=?, previous=?, tokens=?, time=?, expires=? WHERE id=?";
+                        params = [meterState.isOK ? 1 : 0, meterState.isOK || isQueued ? 0 : 1, serverURL.rateLimitAlgorithm, meterState.count, meterState.previous || 0, meterState.tokens || 0, meterState.time, expires, meterRow.id];
+                        dbConnection.run(sql, params, function (error) {
+                            if (error != null) {
+                                logDatabaseError('updateRequest', sql, params, error);
                             }
-                        }
+                            // answer once the row is updated so the next request sees this one
+                            resolvePromise({
+                                isUnderRate: meterState.isOK,
+                                limit: meterState.limit,
+                                remaining: Math.max(0, meterState.remaining),
+                                reset: Math.max(0, Math.ceil(meterState.reset)),
+                                retryAfter: meterState.isOK ? 0 : Math.max(1, Math.ceil(meterState.retryAfter))
+                            });
+                        });
                     });
-                });
+                }).catch(rejectPromise);
             } else {
                 rejectPromise(new Error('Database connection was not open. Call start() first.'));
             }
@@ -304,6 +936,40 @@ module.exports = function (serverURLs, allowedReferrers, logFunction) {
         return promise;
     }
 
+    /**
+     * Count a request that is exempt from rate limits. It is not metered, it only adds to the total of the exempt row
+     * of its serverUrl and referrer.
+     * @param referrer {string} the referrer to track.
+     * @param serverURL {object} the URL info we are tracking that matches this request.
+     * @returns {Promise} resolves once the request is counted.
+     */
+    function countExemptRequest(referrer, serverURL) {
+        var promise;
+
+        promise = Promise.all([lastMeterUpdate, databaseReady]).then(function () {
+            var timeOfRequest = getMicroTime();
+
+            if (dbConnection == null) {
+                throw new Error('Database connection was not open. Call start() first.');
+            }
+            return getMeterRow(serverURL.url, referrer, '', 1, serverURL, timeOfRequest).then(function (meterRow) {
+                return new Promise(function (resolvePromise) {
+                    var sql = 'UPDATE ips SET total=total+1, time=? WHERE id=?',
+                        params = [timeOfRequest, meterRow.id];
+
+                    dbConnection.run(sql, params, function (error) {
+                        if (error != null) {
+                            logDatabaseError('countExemptRequest', sql, params, error);
+                        }
+                        resolvePromise();
+                    });
+                });
+            });
+        });
+        lastMeterUpdate = promise.catch(function () {});
+        return promise;
+    }
+
     /**
      * This is the public API:
      */
@@ -315,6 +981,10 @@ module.exports = function (serverURLs, allowedReferrers, logFunction) {
          */
         start: function() {
             openDatabase();
+            if (collectionTimer == null) {
+                collectionTimer = setInterval(collectIdleRows, idleRowCollectionInterval);
+                collectionTimer.unref();
+            }
         },
 
         /**
@@ -322,6 +992,10 @@ module.exports = function (serverURLs, allowedReferrers, logFunction) {
          * and frees any resources consumed by this object.
          */
         stop: function() {
+            if (collectionTimer != null) {
+                clearInterval(collectionTimer);
+                collectionTimer = null;
+            }
             closeDatabase();
         },
 
@@ -332,22 +1006,71 @@ module.exports = function (serverURLs, allowedReferrers, logFunction) {
          * exceeded. start() must be called before this function or it will fail.
          * @param referrer {string} referrer we are monitoring.
          * @param url {string} url of the resource we are monitoring requested by referrer.
+         * @param clientAddress {string} IP address of the client, used when the serverUrl meters by ip or ipAndReferrer.
          * @returns {Promise} A single boolean value is passed to the resolve function that will be true while
          * under the rate cap, and false when exceeding the rate cap.
          */
-        isUnderRate: function (referrer, url) {
-            return isUnderMeterCap(referrer, url);
+        isUnderRate: function (referrer, url, clientAddress) {
+            return isUnderMeterCap(referrer, url, clientAddress).then(function (rateStatus) {
+                return rateStatus.isUnderRate;
+            });
+        },
+
+        /**
+         * Count a request against the rate limit of the resource, like isUnderRate(), and report where the quota
+         * stands. start() must be called before this function or it will fail.
+         * @param referrer {string} referrer we are monitoring.
+         * @param url {object} the serverUrls entry of the resource we are monitoring requested by referrer.
+         * @param clientAddress {string} IP address of the client, used when the serverUrl meters by ip or ipAndReferrer.
+         * @param isQueued {boolean} true when asking again for a request that is waiting for capacity.
+         * @returns {Promise} resolves with {isUnderRate, limit, remaining, reset, retryAfter}: isUnderRate is false
+         * when exceeding the rate cap, limit is the number of requests allowed (0 when not rate limited), remaining
+         * how many of them are left, reset the seconds until the full limit is available again and retryAfter the
+         * seconds to wait before trying again when isUnderRate is false.
+         */
+        checkRate: function (referrer, url, clientAddress, isQueued) {
+            return isUnderMeterCap(referrer, url, clientAddress, isQueued);
+        },
+
+        /**
+         * Count a request that is exempt from rate limits, it shows in the totals but is never turned down. start()
+         * must be called before this function or it will fail.
+         * @param referrer {string} referrer we are monitoring.
+         * @param url {object} the serverUrls entry of the resource requested by referrer.
+         * @returns {Promise} resolves once the request is counted.
+         */
+        countExempt: function (referrer, url) {
+            return countExemptRequest(referrer, url);
         },
 
         /**
          * If the serverURLs table changes after the constructor was called you can repopulate it
-         * by calling this method with the new table. This will drop all active rate counters and
-         * start them again.
-         * @param serverUrls
-         * @returns {*}
+         * by calling this method with the new table. Rate counters of serverUrls and referrers that
+         * were removed are dropped, the others carry on.
+         * @param serverUrls {Array} the new serverUrls table.
+         * @param allowedReferrers {Array} the new allowedReferrers table.
+         * @returns {Promise} resolves once the counters of removed entries are dropped.
+         */
+        refreshUrlTable: function(serverUrls, allowedReferrers) {
+            return refreshServerUrls(serverUrls, allowedReferrers);
+        },
+
+        /**
+         * Drop every rate counter and total, they start again with the next request. start() must be called before
+         * this function or it will fail.
+         * @returns {Promise} resolves once the counters are gone.
+         */
+        reset: function() {
+            return resetAllRows();
+        },
+
+        /**
+         * Report how much of each quota was used in its current period, and what is left of it. start() must be called
+         * before this function or it will fail.
+         * @returns {Promise} resolves with an array of {url, referrer, period, quota, used, remaining, resets}.
          */
-        refreshUrlTable: function(serverUrls) {
-            return refreshServerUrls(serverUrls);
+        getQuotaStatus: function() {
+            return getQuotaStatus();
         },
 
         /**
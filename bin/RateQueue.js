@@ -0,0 +1,227 @@
+/**
+ * RateQueue class. Holds requests that exceeded the rate limit of a serverUrl configured with
+ * rateExceededAction="queue" until the rate meter has capacity for them again, instead of rejecting them right away.
+ * Requests are queued by the rate meter they were counted against (serverUrl, referrer and client IP address) and
+ * granted in the order they arrived: only the request at the head of each queue asks the rate meter for capacity,
+ * when it is granted the next one asks.
+ *
+ * A request gives up, and is rejected after all, when it waited maxQueueWait seconds, or right away when
+ * maxQueueLength requests are already waiting for the serverUrl or the rate meter asks for a longer wait than that.
+ * A request whose client disconnects is taken out of its queue without asking the rate meter again.
+ *
+ * Queued requests are kept in memory only.
+ */
+
+module.exports = function (logFunction) {
+    var queues = {};
+    var queueLengths = {};
+    var infoLoggingFunction = logFunction;
+
+    /**
+     * Internal logger so RateQueue doesn't have to know anything about how the app wants to handle logging.
+     * @param message {string}
+     */
+    function logMessage(message) {
+        if (infoLoggingFunction != null) {
+            infoLoggingFunction(message);
+        }
+    }
+
+    /**
+     * Take a request out of its queue and stop watching it, without giving it an answer.
+     * @param queue {object} the queue the request is waiting in.
+     * @param queuedRequest {object} the request.
+     */
+    function removeFromQueue(queue, queuedRequest) {
+        var index = queue.requests.indexOf(queuedRequest);
+
+        if (index >= 0) {
+            queue.requests.splice(index, 1);
+            queueLengths[queuedRequest.url] --;
+        }
+        clearTimeout(queuedRequest.timer);
+        if (queuedRequest.cancelOn != null) {
+            queuedRequest.cancelOn.removeListener('close', queuedRequest.cancel);
+        }
+    }
+
+    /**
+     * Take a request out of its queue and give it its answer.
+     * @param queue {object} the queue the request is waiting in.
+     * @param queuedRequest {object} the request.
+     * @param rateStatus {object} the rate status to resolve the request with.
+     */
+    function dequeue(queue, queuedRequest, rateStatus) {
+        removeFromQueue(queue, queuedRequest);
+        queuedRequest.resolve(rateStatus);
+    }
+
+    /**
+     * Ask the rate meter again after a delay, unless we are already waiting for it.
+     * @param key {string} the queue to check.
+     * @param delaySeconds {number}
+     */
+    function scheduleCheck(key, delaySeconds) {
+        var queue = queues[key];
+
+        if (queue === undefined || queue.timer != null || queue.isChecking) {
+            return;
+        }
+        if (queue.requests.length == 0) {
+            delete queues[key];
+            return;
+        }
+        queue.timer = setTimeout(function () {
+            queue.timer = null;
+            checkQueue(key);
+        }, Math.max(0, delaySeconds) * 1000);
+    }
+
+    /**
+     * Ask the rate meter for capacity on behalf of the request at the head of the queue. If it is granted the request
+     * at the head at that time goes (the one that asked may have given up in the meantime) and the next one asks.
+     * @param key {string} the queue to check.
+     */
+    function checkQueue(key) {
+        var queue = queues[key],
+            queuedRequest;
+
+        if (queue === undefined || queue.requests.length == 0) {
+            delete queues[key];
+            return;
+        }
+        queue.isChecking = true;
+        queue.requests[0].checkRate().then(function (rateStatus) {
+            queue.isChecking = false;
+            if (rateStatus.isUnderRate) {
+                if (queue.requests.length > 0) {
+                    dequeue(queue, queue.requests[0], rateStatus);
+                }
+                scheduleCheck(key, 0);
+            } else {
+                if (queue.requests.length > 0) {
+                    queue.requests[0].rateStatus = rateStatus;
+                }
+                scheduleCheck(key, rateStatus.retryAfter);
+            }
+        }, function (error) {
+            queue.isChecking = false;
+            if (queue.requests.length > 0) {
+                queuedRequest = queue.requests[0];
+                removeFromQueue(queue, queuedRequest);
+                queuedRequest.reject(error);
+            }
+            scheduleCheck(key, 0);
+        });
+    }
+
+    /**
+     * Wait for the rate meter to have capacity for a request it turned down.
+     * @param key {string} identifies the rate meter the request was counted against.
+     * @param serverURLInfo {object} the serverUrl configuration, for its maxQueueWait and maxQueueLength.
+     * @param rateStatus {object} the rate status the rate meter turned the request down with.
+     * @param checkRate {function} called with no parameters to ask the rate meter again. Must return a Promise that
+     *   resolves with a rate status {isUnderRate, retryAfter, ...}.
+     * @param cancelOn {EventEmitter} optional, such as the response to the client. The request is taken out of the
+     *   queue when it emits 'close', or right away if it is already destroyed.
+     * @returns {Promise} resolves with the rate status once the request is granted (isUnderRate is true), with the
+     *   last rate status when the request gave up waiting (isUnderRate is false), or with null when it was cancelled.
+     */
+    function waitForCapacity(key, serverURLInfo, rateStatus, checkRate, cancelOn) {
+        var maxQueueWait = serverURLInfo.maxQueueWait,
+            maxQueueLength = serverURLInfo.maxQueueLength,
+            queue = queues[key];
+
+        if (cancelOn != null && cancelOn.destroyed) {
+            return Promise.resolve(null);
+        }
+        if ((queueLengths[serverURLInfo.url] || 0) >= maxQueueLength) {
+            logMessage('RateQueue full for ' + serverURLInfo.url + ', ' + maxQueueLength + ' requests waiting');
+            return Promise.resolve(rateStatus);
+        }
+        if (rateStatus.retryAfter > maxQueueWait) {
+            return Promise.resolve(rateStatus);
+        }
+        if (queue === undefined) {
+            queue = {
+                requests: [],
+                timer: null,
+                isChecking: false
+            };
+            queues[key] = queue;
+        }
+        queueLengths[serverURLInfo.url] = (queueLengths[serverURLInfo.url] || 0) + 1;
+        return new Promise(function (resolvePromise, rejectPromise) {
+            var queuedRequest = {
+                url: serverURLInfo.url,
+                rateStatus: rateStatus,
+                checkRate: checkRate,
+                resolve: resolvePromise,
+                reject: rejectPromise,
+                timer: null,
+                cancelOn: cancelOn,
+                cancel: null
+            };
+
+            queuedRequest.timer = setTimeout(function () {
+                logMessage('RateQueue gave up waiting after ' + maxQueueWait + ' seconds for ' + serverURLInfo.url);
+                dequeue(queue, queuedRequest, queuedRequest.rateStatus);
+            }, maxQueueWait * 1000);
+            if (cancelOn != null) {
+                queuedRequest.cancel = function () {
+                    logMessage('RateQueue dropped a request for ' + serverURLInfo.url + ', the client disconnected');
+                    dequeue(queue, queuedRequest, null);
+                };
+                cancelOn.once('close', queuedRequest.cancel);
+            }
+            queue.requests.push(queuedRequest);
+            scheduleCheck(key, rateStatus.retryAfter);
+        });
+    }
+
+    /**
+     * This is the public API:
+     */
+    return {
+        /**
+         * Hold a request the rate meter turned down until it has capacity for it.
+         * @param key {string} identifies the rate meter the request was counted against.
+         * @param serverURLInfo {object} the serverUrl configuration, for its maxQueueWait and maxQueueLength.
+         * @param rateStatus {object} the rate status the rate meter turned the request down with.
+         * @param checkRate {function} returns a Promise resolving with a new rate status.
+         * @param cancelOn {EventEmitter} optional, the request is dropped from the queue when it emits 'close'.
+         * @returns {Promise} resolves with the rate status the request goes ahead with, or gives up with, or null
+         *   when it was cancelled.
+         */
+        waitForCapacity: function(key, serverURLInfo, rateStatus, checkRate, cancelOn) {
+            return waitForCapacity(key, serverURLInfo, rateStatus, checkRate, cancelOn);
+        },
+
+        /**
+         * Determine how many requests are waiting for a serverUrl.
+         * @param url {string} the serverUrl url.
+         * @returns {number}
+         */
+        getQueueLength: function(url) {
+            return queueLengths[url] || 0;
+        },
+
+        /**
+         * Give up on every waiting request, they are resolved with the rate status they are waiting with.
+         */
+        clear: function() {
+            var key;
+
+            for (key in queues) {
+                if (queues.hasOwnProperty(key)) {
+                    clearTimeout(queues[key].timer);
+                    while (queues[key].requests.length > 0) {
+                        dequeue(queues[key], queues[key].requests[0], queues[key].requests[0].rateStatus);
+                    }
+                }
+            }
+            queues = {};
+            queueLengths = {};
+        }
+    }
+};
@@ -0,0 +1,244 @@
+/**
+ * ResponseInspector class. Holds back the response from a proxied service long enough to decide if it is an ArcGIS
+ * error envelope, such as {"error":{"code":498,"message":"Invalid token.","details":[]}}, so the proxy can act on it
+ * before anything is sent to the client. The response body is decoded (gzip, deflate or brotli) as it arrives, while
+ * the original bytes are kept aside untouched. As soon as the body cannot be an error envelope, or it grows larger than
+ * the inspection threshold, the original bytes are forwarded and the rest of the response streams straight through.
+ *
+ * Only error envelopes are held in memory until the end of the response. Those are small.
+ */
+
+const zlib = require('zlib');
+const StringDecoder = require('string_decoder').StringDecoder;
+
+const defaultMaxInspectSize = 65536;
+const errorEnvelopePattern = /^\s*\{\s*"error"\s*:/;
+const errorEnvelopeDecisionLength = 32; // an error envelope shows its key within this many characters
+
+
+module.exports = function (response, contentEncoding, maxInspectSize) {
+    var responseWrite = response.write,
+        responseEnd = response.end,
+        inspectLimit = maxInspectSize > 0 ? maxInspectSize : defaultMaxInspectSize,
+        encoding = (contentEncoding || 'identity').toLowerCase().trim(),
+        originalChunks = [],
+        originalSize = 0,
+        decoder = null,
+        stringDecoder = new StringDecoder('utf8'),
+        decodedBody = '',
+        responseEnded = false,
+        state = 'inspecting', // then one of 'held', 'forwarded', 'discarded'
+        resolveInspection = null,
+        inspection;
+
+    /**
+     * Determine if we know how to decode the response body.
+     * @returns {boolean}
+     */
+    function isSupportedEncoding() {
+        return encoding == 'identity' || encoding == 'gzip' || encoding == 'x-gzip' || encoding == 'deflate' || encoding == 'br';
+    }
+
+    /**
+     * Create the zlib stream that decodes the response body. Deflate is supposed to be zlib wrapped but some servers
+     * send raw deflate data, we tell them apart from the first byte of the body.
+     * @param firstChunk {Buffer} the first data of the response body.
+     * @returns {object|null} a zlib stream, or null when the body is not encoded.
+     */
+    function createDecoder(firstChunk) {
+        var zlibDecoder = null;
+
+        if (encoding == 'gzip' || encoding == 'x-gzip') {
+            zlibDecoder = zlib.createGunzip();
+        } else if (encoding == 'deflate') {
+            zlibDecoder = (firstChunk[0] & 0x0f) == 8 ? zlib.createInflate() : zlib.createInflateRaw();
+        } else if (encoding == 'br') {
+            zlibDecoder = zlib.createBrotliDecompress();
+        }
+        if (zlibDecoder != null) {
+            zlibDecoder.on('data', function(data) {
+                addDecodedData(stringDecoder.write(data));
+            });
+            zlibDecoder.on('end', function() {
+                addDecodedData(stringDecoder.end());
+                finishInspection();
+            });
+            zlibDecoder.on('error', function() {
+                // we cannot tell what this is, the client can deal with it.
+                forwardResponse();
+            });
+        }
+        return zlibDecoder;
+    }
+
+    /**
+     * Decide what to do with the response as the decoded body grows. We keep holding it while it may be an error
+     * envelope, otherwise it is forwarded.
+     * @param text {string} the next part of the decoded body.
+     */
+    function addDecodedData(text) {
+        var body;
+
+        if (state != 'inspecting') {
+            return;
+        }
+        decodedBody += text;
+        if (decodedBody.length > inspectLimit) {
+            forwardResponse();
+        } else if ( ! errorEnvelopePattern.test(decodedBody)) {
+            body = decodedBody.replace(/^\s+/, '');
+            if (body.length > 0 && (body.charAt(0) != '{' || body.length >= errorEnvelopeDecisionLength)) {
+                forwardResponse();
+            }
+        }
+    }
+
+    /**
+     * The entire response body was decoded. Hold it if it is an error envelope, otherwise forward it.
+     */
+    function finishInspection() {
+        if (state != 'inspecting') {
+            return;
+        }
+        if (errorEnvelopePattern.test(decodedBody)) {
+            state = 'held';
+            restoreResponse();
+            resolveInspection(decodedBody);
+        } else {
+            forwardResponse();
+        }
+    }
+
+    /**
+     * Put the response methods back the way we found them, whatever happens next writes directly to the client.
+     */
+    function restoreResponse() {
+        response.write = responseWrite;
+        response.end = responseEnd;
+        if (decoder != null) {
+            decoder.removeAllListeners();
+            decoder.on('error', function() {});
+            decoder.destroy();
+            decoder = null;
+        }
+    }
+
+    /**
+     * Send the original bytes we held back to the client, and end the response if the service already did.
+     */
+    function forwardResponse() {
+        var i;
+
+        if (state != 'inspecting' && state != 'held') {
+            return;
+        }
+        if (state == 'inspecting') {
+            restoreResponse();
+            resolveInspection(null);
+        }
+        state = 'forwarded';
+        for (i = 0; i < originalChunks.length; i ++) {
+            responseWrite.call(response, originalChunks[i]);
+        }
+        originalChunks = [];
+        if (responseEnded) {
+            responseEnd.call(response);
+        }
+    }
+
+    /**
+     * Replaces response.write() while we are inspecting.
+     * @param data {Buffer|string}
+     * @param dataEncoding {string}
+     * @returns {boolean}
+     */
+    function inspectWrite(data, dataEncoding) {
+        var chunk;
+
+        if (state != 'inspecting') {
+            return state == 'forwarded' ? responseWrite.call(response, data, dataEncoding) : true;
+        }
+        chunk = Buffer.isBuffer(data) ? data : Buffer.from(data, typeof dataEncoding === 'string' ? dataEncoding : 'utf8');
+        if (chunk.length == 0) {
+            return true;
+        }
+        originalChunks.push(chunk);
+        originalSize += chunk.length;
+        if (originalSize > inspectLimit) {
+            forwardResponse();
+        } else if (decoder == null && encoding != 'identity') {
+            decoder = createDecoder(chunk);
+            decoder.write(chunk);
+        } else if (decoder != null) {
+            decoder.write(chunk);
+        } else {
+            addDecodedData(stringDecoder.write(chunk));
+        }
+        return true;
+    }
+
+    /**
+     * Replaces response.end() while we are inspecting.
+     * @param data {Buffer|string|function} optional last data of the response.
+     * @param dataEncoding {string}
+     */
+    function inspectEnd(data, dataEncoding) {
+        if (data != null && typeof data !== 'function') {
+            inspectWrite(data, dataEncoding);
+        }
+        responseEnded = true;
+        if (state == 'forwarded') {
+            responseEnd.call(response);
+        } else if (state == 'inspecting') {
+            if (decoder != null) {
+                decoder.end();
+            } else {
+                addDecodedData(stringDecoder.end());
+                finishInspection();
+            }
+        }
+    }
+
+    inspection = new Promise(function(resolvePromise) {
+        resolveInspection = resolvePromise;
+    });
+    if (isSupportedEncoding()) {
+        response.write = inspectWrite;
+        response.end = inspectEnd;
+    } else {
+        state = 'forwarded';
+        resolveInspection(null);
+    }
+
+    /**
+     * This is the public API:
+     */
+    return {
+        /**
+         * Wait for the inspection to complete.
+         * @returns {Promise} resolves with the decoded body when the response is an error envelope that is being held
+         *   back, call forward() or discard() to decide what to do with it. Resolves with null when the response is not
+         *   an error envelope, it is already on its way to the client.
+         */
+        inspect: function() {
+            return inspection;
+        },
+
+        /**
+         * Send a held response to the client as the service sent it.
+         */
+        forward: function() {
+            forwardResponse();
+        },
+
+        /**
+         * Throw away a held response, the caller will respond to the client some other way.
+         */
+        discard: function() {
+            if (state == 'held') {
+                state = 'discarded';
+                originalChunks = [];
+            }
+        }
+    }
+};
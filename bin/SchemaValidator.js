@@ -0,0 +1,184 @@
+/**
+ * A small JSON Schema validator covering the keywords our configuration schema uses: type, properties,
+ * additionalProperties, required, items, minimum, maximum, minLength and $ref to #/definitions. Everything else
+ * (title, description, default) is ignored.
+ *
+ * Values read from an XML configuration are always strings, and the configuration parser accepts strings for any
+ * setting, so a string that reads as the expected boolean or number is considered valid.
+ */
+
+
+/**
+ * Resolve a $ref to a schema in the root schema definitions, e.g. "#/definitions/serverUrl".
+ * @param schema {object}
+ * @param rootSchema {object}
+ * @returns {object} the referenced schema, or an empty schema (anything goes) if the reference cannot be resolved.
+ */
+function resolveSchema(schema, rootSchema) {
+    var referencePath,
+        resolved = schema,
+        i;
+
+    while (resolved != null && resolved['$ref'] !== undefined) {
+        referencePath = resolved['$ref'].replace(/^#\//, '').split('/');
+        resolved = rootSchema;
+        for (i = 0; i < referencePath.length && resolved != null; i ++) {
+            resolved = resolved[referencePath[i]];
+        }
+    }
+    return resolved || {};
+}
+
+/**
+ * Determine if a value is of a JSON Schema type, allowing the string form of booleans and numbers.
+ * @param value {*}
+ * @param type {string} one of string, number, integer, boolean, object, array.
+ * @returns {boolean}
+ */
+function isOfType(value, type) {
+    var number;
+
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'boolean':
+            return typeof value === 'boolean' || (typeof value === 'string' && ['true', 'false', '1', '0'].indexOf(value.toLowerCase().trim()) >= 0);
+        case 'number':
+        case 'integer':
+            number = typeof value === 'string' && value.trim().length > 0 ? Number(value) : value;
+            return typeof number === 'number' && ! isNaN(number) && (type == 'number' || Number.isInteger(number));
+        case 'object':
+            return value !== null && typeof value === 'object' && ! Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Compute the number of single character edits (insert, delete, replace) to turn one string into another.
+ * @param first {string}
+ * @param second {string}
+ * @returns {number}
+ */
+function editDistance(first, second) {
+    var previousRow = [],
+        currentRow,
+        i,
+        j;
+
+    for (j = 0; j <= second.length; j ++) {
+        previousRow[j] = j;
+    }
+    for (i = 1; i <= first.length; i ++) {
+        currentRow = [i];
+        for (j = 1; j <= second.length; j ++) {
+            currentRow[j] = Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + (first.charAt(i - 1) == second.charAt(j - 1) ? 0 : 1));
+        }
+        previousRow = currentRow;
+    }
+    return previousRow[second.length];
+}
+
+/**
+ * Find the name closest to a misspelled one. Case is ignored when comparing.
+ * @param name {string} the misspelled name.
+ * @param candidates {Array} the names that are valid.
+ * @returns {string|null} the closest valid name, null if none is close enough to be a likely typo.
+ */
+function getClosestName(name, candidates) {
+    var closestName = null,
+        closestDistance = Math.max(2, Math.floor(name.length / 3)) + 1,
+        distance,
+        i;
+
+    for (i = 0; i < candidates.length; i ++) {
+        distance = editDistance(name.toLowerCase(), candidates[i].toLowerCase());
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            closestName = candidates[i];
+        }
+    }
+    return closestName;
+}
+
+/**
+ * Validate a value against a schema, adding anything that does not conform to the problems list.
+ * @param value {*} the value to check.
+ * @param schema {object} the schema for this value.
+ * @param rootSchema {object} the schema holding the definitions $ref points to.
+ * @param path {string} where this value is in the document, e.g. serverUrls[2].rateLimit.
+ * @param problems {Array} each problem is {path, keyword, expected, value, suggestion}.
+ */
+function validateValue(value, schema, rootSchema, path, problems) {
+    var types,
+        propertyNames,
+        propertyName,
+        propertyPath,
+        number,
+        i;
+
+    schema = resolveSchema(schema, rootSchema);
+    if (schema.type !== undefined) {
+        types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if ( ! types.some(function(type) { return isOfType(value, type); })) {
+            problems.push({path: path, keyword: 'type', expected: types.join(' or '), value: value});
+            return;
+        }
+    }
+    if (isOfType(value, 'object')) {
+        propertyNames = schema.properties !== undefined ? Object.keys(schema.properties) : [];
+        if (Array.isArray(schema.required)) {
+            for (i = 0; i < schema.required.length; i ++) {
+                if (value[schema.required[i]] === undefined) {
+                    problems.push({path: path, keyword: 'required', expected: schema.required[i]});
+                }
+            }
+        }
+        for (propertyName in value) {
+            if (value.hasOwnProperty(propertyName)) {
+                propertyPath = path.length > 0 ? path + '.' + propertyName : propertyName;
+                if (propertyNames.indexOf(propertyName) >= 0) {
+                    validateValue(value[propertyName], schema.properties[propertyName], rootSchema, propertyPath, problems);
+                } else if (schema.additionalProperties === false) {
+                    problems.push({path: propertyPath, keyword: 'additionalProperties', value: propertyName, suggestion: getClosestName(propertyName, propertyNames)});
+                }
+            }
+        }
+    } else if (Array.isArray(value)) {
+        if (schema.items !== undefined) {
+            for (i = 0; i < value.length; i ++) {
+                validateValue(value[i], schema.items, rootSchema, path + '[' + i + ']', problems);
+            }
+        }
+    } else if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        problems.push({path: path, keyword: 'minLength', expected: schema.minLength, value: value});
+    }
+    if (schema.minimum !== undefined || schema.maximum !== undefined) {
+        number = Number(value);
+        if (schema.minimum !== undefined && number < schema.minimum) {
+            problems.push({path: path, keyword: 'minimum', expected: schema.minimum, value: value});
+        }
+        if (schema.maximum !== undefined && number > schema.maximum) {
+            problems.push({path: path, keyword: 'maximum', expected: schema.maximum, value: value});
+        }
+    }
+}
+
+/**
+ * Validate a document against a JSON schema.
+ * @param document {*} the parsed JSON document.
+ * @param schema {object} the JSON schema.
+ * @returns {Array} list of problems found, empty if the document conforms to the schema. Each problem is
+ *   {path, keyword, expected, value, suggestion} where keyword is the schema keyword that failed and suggestion, for
+ *   an unknown property, is the closest property name the schema allows (or null.)
+ */
+module.exports.validate = function(document, schema) {
+    var problems = [];
+
+    validateValue(document, schema, schema, '', problems);
+    return problems;
+};
+
+module.exports.getClosestName = getClosestName;
@@ -0,0 +1,126 @@
+/**
+ * Masks secrets (tokens, passwords, client secrets) before text is written to a log or returned to a client. It knows
+ * the parameter names the proxy itself uses for secrets and takes more from the configuration: redactParameters and
+ * the tokenParamName of each serverUrl. Names are matched without regard to case.
+ *
+ * What is masked:
+ *   name=value           in URLs, query strings and form bodies, up to the next &, ; or white space.
+ *   "name": "value"      in JSON.
+ *   name="value"         in XML attributes, such as a serverUrl element of the configuration.
+ *   { name: value }      properties of objects given to redactObject(), at any depth.
+ */
+
+const redactedValue = '*****';
+const defaultSensitiveNames = [
+    'token',
+    'access_token',
+    'refresh_token',
+    'accessToken',
+    'password',
+    'clientSecret',
+    'client_secret',
+    'apiKey',
+    'api_key'
+];
+
+var sensitiveNames = defaultSensitiveNames.slice(),
+    sensitiveNamesLookup = {},
+    parameterPattern = null,
+    jsonPattern = null,
+    attributePattern = null;
+
+/**
+ * Escape the characters of a string that have a meaning in a regular expression.
+ * @param text {string}
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the lookup table and the regular expressions for the current list of sensitive names.
+ */
+function buildPatterns() {
+    var names = sensitiveNames.map(escapeRegExp).join('|');
+
+    sensitiveNamesLookup = {};
+    sensitiveNames.forEach(function(name) {
+        sensitiveNamesLookup[name.toLowerCase()] = true;
+    });
+    parameterPattern = new RegExp('(^|[?&;\\s\'"(])(' + names + ')=[^&;\\s\'"<>)]+', 'gi');
+    jsonPattern = new RegExp('("(?:' + names + ')"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"', 'gi');
+    attributePattern = new RegExp('(\\s(?:' + names + ')\\s*=\\s*)"[^"]*"', 'gi');
+}
+
+buildPatterns();
+
+/**
+ * Set the names, in addition to the ones the proxy always masks, of the parameters and properties holding secrets.
+ * Each call replaces the names given before.
+ * @param names {Array} list of parameter names, null or empty for none.
+ */
+module.exports.setSensitiveNames = function(names) {
+    sensitiveNames = defaultSensitiveNames.slice();
+    if (names != null) {
+        names.forEach(function(name) {
+            if (typeof name === 'string' && name.trim().length > 0 && sensitiveNames.indexOf(name.trim()) < 0) {
+                sensitiveNames.push(name.trim());
+            }
+        });
+    }
+    buildPatterns();
+};
+
+/**
+ * Determine if a parameter or property name holds a secret.
+ * @param name {string}
+ * @returns {boolean}
+ */
+module.exports.isSensitiveName = function(name) {
+    return typeof name === 'string' && sensitiveNamesLookup[name.toLowerCase()] === true;
+};
+
+/**
+ * Mask the values of the sensitive parameters found in a string. Anything that is not a string is returned as is.
+ * @param text {string} a URL, query string, form body, JSON, XML or log message.
+ * @returns {string} the text with each secret replaced with *****.
+ */
+module.exports.redactText = function(text) {
+    if (typeof text !== 'string' || text.length == 0) {
+        return text;
+    }
+    return text.replace(parameterPattern, '$1$2=' + redactedValue)
+        .replace(jsonPattern, '$1"' + redactedValue + '"')
+        .replace(attributePattern, '$1"' + redactedValue + '"');
+};
+
+/**
+ * Make a copy of a value with its secrets masked: the properties with a sensitive name are replaced with ***** and
+ * every string is passed through redactText(). The value given is not changed.
+ * @param value {*} an object, array, string or any other value.
+ * @returns {*} the masked copy.
+ */
+module.exports.redactObject = function(value) {
+    var redactedObject,
+        key;
+
+    if (typeof value === 'string') {
+        return this.redactText(value);
+    } else if (value instanceof Array) {
+        return value.map(this.redactObject, this);
+    } else if (value == null || typeof value !== 'object' || value instanceof Date) {
+        return value;
+    }
+    redactedObject = {};
+    for (key in value) {
+        if (value.hasOwnProperty(key)) {
+            if (this.isSensitiveName(key) && value[key] != null && value[key] !== '') {
+                redactedObject[key] = redactedValue;
+            } else {
+                redactedObject[key] = this.redactObject(value[key]);
+            }
+        }
+    }
+    return redactedObject;
+};
@@ -0,0 +1,151 @@
+/**
+ * TokenCache class. Holds the tokens the proxy obtained on behalf of the serverUrls it manages credentials for so
+ * we do not have to log in on every request. Each token is cached with the time it expires and is refreshed
+ * shortly before it expires. When several requests need a token at the same time they share a single login
+ * request instead of each one contacting the token service.
+ *
+ * Tokens are kept in memory only, restarting the proxy starts with an empty cache.
+ */
+
+const defaultRefreshMarginSeconds = 120;
+const defaultTokenLifetimeSeconds = 3600;
+
+
+module.exports = function (refreshMarginSeconds, logFunction) {
+    var tokens = {};
+    var refreshMargin = (refreshMarginSeconds !== undefined && refreshMarginSeconds != null ? refreshMarginSeconds : defaultRefreshMarginSeconds) * 1000;
+    var infoLoggingFunction = logFunction;
+
+    /**
+     * Internal logger so TokenCache doesn't have to know anything about how the app wants to handle logging.
+     * @param message {string}
+     */
+    function logMessage(message) {
+        if (infoLoggingFunction != null) {
+            infoLoggingFunction(message);
+        }
+    }
+
+    /**
+     * Determine the key we cache a token under. Tokens obtained with a user login are issued for a specific
+     * referrer so they are cached per referrer, app login tokens are shared by all referrers.
+     * @param serverURLInfo {object} the serverUrl configuration the token is for.
+     * @param referrer {string} the validated referrer (can be "*").
+     * @returns {string}
+     */
+    function getCacheKey(serverURLInfo, referrer) {
+        if (serverURLInfo.isUserLogin && referrer !== undefined && referrer != null) {
+            return serverURLInfo.url + ' ' + referrer;
+        } else {
+            return serverURLInfo.url;
+        }
+    }
+
+    /**
+     * Determine if a cached token entry can still be used, meaning it will not expire within the refresh margin.
+     * @param tokenEntry {object}
+     * @returns {boolean}
+     */
+    function isTokenUsable(tokenEntry) {
+        return tokenEntry !== undefined && tokenEntry.token != null && tokenEntry.expires - refreshMargin > Date.now();
+    }
+
+    /**
+     * Return a cached token if we have one that is still good, otherwise call the fetch function to log in and get
+     * a new token. If a login is already in progress for this key the caller waits for that login instead of
+     * starting another one.
+     * @param serverURLInfo {object} the serverUrl configuration the token is for.
+     * @param referrer {string} the validated referrer (can be "*").
+     * @param fetchToken {function} called with no parameters when a new token is required. Must return a Promise that
+     *   resolves with a token info object {token: string, expires: number (milliseconds since epoch, 0 if unknown)}.
+     * @returns {Promise} resolves with the token string.
+     */
+    function getToken(serverURLInfo, referrer, fetchToken) {
+        var key = getCacheKey(serverURLInfo, referrer),
+            tokenEntry = tokens[key];
+
+        if (isTokenUsable(tokenEntry)) {
+            return Promise.resolve(tokenEntry.token);
+        }
+        if (tokenEntry !== undefined && tokenEntry.pendingLogin != null) {
+            return tokenEntry.pendingLogin;
+        }
+        if (tokenEntry === undefined) {
+            tokenEntry = {
+                token: null,
+                expires: 0,
+                pendingLogin: null
+            };
+            tokens[key] = tokenEntry;
+        }
+        tokenEntry.pendingLogin = fetchToken().then(
+            function (tokenInfo) {
+                tokenEntry.token = tokenInfo.token;
+                if (tokenInfo.expires > 0) {
+                    tokenEntry.expires = tokenInfo.expires;
+                } else {
+                    tokenEntry.expires = Date.now() + defaultTokenLifetimeSeconds * 1000;
+                }
+                tokenEntry.pendingLogin = null;
+                logMessage('TokenCache new token for ' + key + ' expires ' + new Date(tokenEntry.expires).toISOString());
+                return tokenEntry.token;
+            },
+            function (error) {
+                tokenEntry.pendingLogin = null;
+                throw error;
+            }
+        );
+        return tokenEntry.pendingLogin;
+    }
+
+    /**
+     * A service rejected a token, remove it from the cache so the next request gets a new one. If a token is
+     * given it is only removed if it is still the cached token: another request may have already replaced it.
+     * @param serverURLInfo {object} the serverUrl configuration the token is for.
+     * @param referrer {string} the validated referrer (can be "*").
+     * @param rejectedToken {string|null} the token the service rejected, or null to remove whatever is cached.
+     */
+    function invalidateToken(serverURLInfo, referrer, rejectedToken) {
+        var tokenEntry = tokens[getCacheKey(serverURLInfo, referrer)];
+
+        if (tokenEntry !== undefined && tokenEntry.token != null) {
+            if (rejectedToken === undefined || rejectedToken == null || rejectedToken == tokenEntry.token) {
+                tokenEntry.token = null;
+                tokenEntry.expires = 0;
+            }
+        }
+    }
+
+    /**
+     * This is the public API:
+     */
+    return {
+        /**
+         * Get a token for a serverUrl, either from the cache or by logging in.
+         * @param serverURLInfo {object} the serverUrl configuration the token is for.
+         * @param referrer {string} the validated referrer (can be "*").
+         * @param fetchToken {function} returns a Promise resolving with {token, expires} when a login is required.
+         * @returns {Promise} resolves with the token string.
+         */
+        getToken: function(serverURLInfo, referrer, fetchToken) {
+            return getToken(serverURLInfo, referrer, fetchToken);
+        },
+
+        /**
+         * Remove a token the service rejected so it is not used again.
+         * @param serverURLInfo {object} the serverUrl configuration the token is for.
+         * @param referrer {string} the validated referrer (can be "*").
+         * @param rejectedToken {string|null} the rejected token, or null to remove whatever is cached.
+         */
+        invalidate: function(serverURLInfo, referrer, rejectedToken) {
+            invalidateToken(serverURLInfo, referrer, rejectedToken);
+        },
+
+        /**
+         * Remove all cached tokens.
+         */
+        clear: function() {
+            tokens = {};
+        }
+    }
+};
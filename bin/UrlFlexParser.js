@@ -389,38 +389,15 @@ module.exports.parsedUrlPartsMatch = function(urlPartsSource, urlPartsTarget) {
  */
 module.exports.validatedReferrerFromReferrer = function(referrer, allowedReferrers) {
     var validReferrer = null,
-        i,
         noMatchReason = '',
-        referrerToCheckParts,
-        referrerParts;
+        referrerMatch;
 
     if (allowAnyReferrer) {
         validReferrer = '*';
     } else if (referrer != undefined && referrer != null && referrer.length > 0) {
-        referrerParts = this.parseAndFixURLParts(referrer.toLowerCase().trim());
-        if (referrerParts.hostname == null) {
-            referrerParts.hostname = '*';
-        }
-        for (i = 0; i < allowedReferrers.length; i ++) {
-            referrerToCheckParts = allowedReferrers[i];
-            if (this.testProtocolsMatch(referrerToCheckParts.protocol, referrerParts.protocol)) {
-                if (referrerToCheckParts.hostname == '*' || this.testDomainsMatch(referrerToCheckParts.hostname, referrerParts.hostname)) {
-                    if (referrerToCheckParts.path == '*' || referrerToCheckParts.path == referrerParts.path) {
-                        validReferrer = referrerToCheckParts.referrer;
-                        break;
-                    } else if (! matchAllReferrer && ProjectUtilities.startsWith(referrerParts.path, referrerToCheckParts.path)) {
-                        validReferrer = referrerToCheckParts.referrer;
-                        break;
-                    } else {
-                        noMatchReason = 'referrer path ' + referrerParts.path + ' does not match ' + referrerToCheckParts.path;
-                    }
-                } else {
-                    noMatchReason = 'referrer hostname ' + referrerParts.hostname + ' does not match ' + referrerToCheckParts.hostname;
-                }
-            } else {
-                noMatchReason = 'referrer protocol ' + referrerParts.protocol + ' does not match ' + referrerToCheckParts.protocol;
-            }
-        }
+        referrerMatch = this.findReferrerInList(referrer, allowedReferrers);
+        validReferrer = referrerMatch.referrer;
+        noMatchReason = referrerMatch.noMatchReason;
     } else {
         noMatchReason = 'referrer could not be determined and referrer match is required.';
     }
@@ -430,6 +407,48 @@ module.exports.validatedReferrerFromReferrer = function(referrer, allowedReferre
     return validReferrer;
 };
 
+/**
+ * Find the first referrer of a list a referrer matches, the way allowed referrers are matched: protocol, domain
+ * (with wildcards) and path, or the beginning of the path unless matchAllReferrer is set.
+ * @param referrer {string} referer (sic) received from http request
+ * @param referrerList {Array} array of parsed referrer URL objects to match referrer against.
+ * @returns {object} {referrer, noMatchReason}: referrer is the look-up key of the referrer that matched, null if none
+ *   did, and noMatchReason tells why the last one did not.
+ */
+module.exports.findReferrerInList = function(referrer, referrerList) {
+    var i,
+        noMatchReason = '',
+        referrerToCheckParts,
+        referrerParts;
+
+    if (referrer == undefined || referrer == null || referrer.length == 0) {
+        return {referrer: null, noMatchReason: 'referrer could not be determined.'};
+    }
+    referrerParts = this.parseAndFixURLParts(referrer.toLowerCase().trim());
+    if (referrerParts.hostname == null) {
+        referrerParts.hostname = '*';
+    }
+    for (i = 0; i < referrerList.length; i ++) {
+        referrerToCheckParts = referrerList[i];
+        if (this.testProtocolsMatch(referrerToCheckParts.protocol, referrerParts.protocol)) {
+            if (referrerToCheckParts.hostname == '*' || this.testDomainsMatch(referrerToCheckParts.hostname, referrerParts.hostname)) {
+                if (referrerToCheckParts.path == '*' || referrerToCheckParts.path == referrerParts.path) {
+                    return {referrer: referrerToCheckParts.referrer, noMatchReason: ''};
+                } else if (! matchAllReferrer && ProjectUtilities.startsWith(referrerParts.path, referrerToCheckParts.path)) {
+                    return {referrer: referrerToCheckParts.referrer, noMatchReason: ''};
+                } else {
+                    noMatchReason = 'referrer path ' + referrerParts.path + ' does not match ' + referrerToCheckParts.path;
+                }
+            } else {
+                noMatchReason = 'referrer hostname ' + referrerParts.hostname + ' does not match ' + referrerToCheckParts.hostname;
+            }
+        } else {
+            noMatchReason = 'referrer protocol ' + referrerParts.protocol + ' does not match ' + referrerToCheckParts.protocol;
+        }
+    }
+    return {referrer: null, noMatchReason: noMatchReason};
+};
+
 /**
  * Try to determine the protocol to use given the parameters. This does a best-guess by prioritizing the
  * serverURLInfo definition, then the request that came in, and then use what the referrer came in with.
@@ -550,6 +569,67 @@ module.exports.buildFullURLFromParts = function(urlParts, overRideParameters) {
     return url;
 };
 
+/**
+ * Set a single query string parameter on a full URL. If the parameter is already in the URL its value is replaced,
+ * otherwise the parameter is added. All other parameters in the URL are preserved.
+ * @param url {string} the full URL to update.
+ * @param key {string} the parameter name, e.g. token.
+ * @param value {string} the parameter value. It will be URL encoded.
+ * @returns {string} the updated URL.
+ */
+module.exports.setParameterInURL = function(url, key, value) {
+    var delimiter = url.indexOf('?'),
+        parameters = {};
+
+    if (delimiter >= 0) {
+        parameters = ProjectUtilities.queryStringToObject(url.substr(delimiter + 1));
+        url = url.substr(0, delimiter);
+    }
+    parameters[key] = value;
+    return url + '?' + ProjectUtilities.objectToQueryString(parameters);
+};
+
+/**
+ * Get the value of a single query string parameter from a full URL.
+ * @param url {string} the full URL to search.
+ * @param key {string} the parameter name, e.g. token.
+ * @returns {string|null} the decoded parameter value, null if the parameter is not in the URL.
+ */
+module.exports.getParameterFromURL = function(url, key) {
+    var delimiter = url.indexOf('?'),
+        parameters;
+
+    if (delimiter >= 0) {
+        parameters = ProjectUtilities.queryStringToObject(url.substr(delimiter + 1));
+        if (parameters.hasOwnProperty(key)) {
+            return parameters[key];
+        }
+    }
+    return null;
+};
+
+/**
+ * Remove a single query string parameter from a full URL, such as a token that should not end up in a log.
+ * @param url {string} the full URL.
+ * @param key {string} the parameter name, e.g. token.
+ * @returns {string} the URL without the parameter, unchanged if the parameter is not in the URL.
+ */
+module.exports.removeParameterFromURL = function(url, key) {
+    var delimiter = url.indexOf('?'),
+        parameters;
+
+    if (delimiter < 0) {
+        return url;
+    }
+    parameters = ProjectUtilities.queryStringToObject(url.substr(delimiter + 1));
+    if ( ! parameters.hasOwnProperty(key)) {
+        return url;
+    }
+    delete parameters[key];
+    url = url.substr(0, delimiter);
+    return ProjectUtilities.isEmptyObject(parameters) ? url : url + '?' + ProjectUtilities.objectToQueryString(parameters);
+};
+
 /**
  * Determine if the URL parts structure is valid enough to use as a URL.
  * @param urlParts
@@ -604,7 +684,8 @@ module.exports.buildURLFromReferrerRequestAndInfo = function(referrer, urlReques
  * Combine the parameters from the request and the server url configuration where the parameters
  * specified in the request will override any defined in the configuration, otherwise any parameters
  * specified in either are combined.
- * @param request - the node http/http request. It may also include parameters for the request.
+ * @param request - the node http/http request. It may also include parameters for the request, a form post body that
+ *   was read is expected in request.body as a string.
  * @param urlParts - the parsed url parts of the request
  * @param serverURLInfo - the server url configuration matching the request. It may have its own parameters.
  * @param requestOverridesConfig - true to prioritize request, false to prioritize config.
@@ -627,9 +708,15 @@ module.exports.combineParameters = function(request, urlParts, serverURLInfo, re
         if (urlParts.query !== undefined && urlParts.query != null && urlParts.query.length > 0) {
             requestParameters = urlParts.query;
         }
-    } else if (request.method == 'POST') {
-        // TODO: If POST then where are the post params?
-        requestParameters = request.query;
+    } else if (request.method == 'POST' || request.method == 'PUT') {
+        // Parameters can be in the query string as well as in the form body (request.body, when the body was read). The
+        // form body takes priority over the query string.
+        if (urlParts.query !== undefined && urlParts.query != null && urlParts.query.length > 0) {
+            requestParameters = urlParts.query;
+        }
+        if (typeof request.body === 'string' && request.body.length > 0) {
+            requestParameters = requestParameters == null ? request.body : requestParameters + '&' + request.body;
+        }
     }
     if (requestParameters != null) {
         requestParameters = ProjectUtilities.queryStringToObject(requestParameters);
@@ -12,14 +12,10 @@
  * * http://route.arcgis.com/arcgis/rest/services/World/ClosestFacility/NAServer/ClosestFacility_World/solveClosestFacility => http://local.arcgis.com:3333/proxy/http/route.arcgis.com/arcgis/rest/services/World/ClosestFacility/NAServer/ClosestFacility_World/solveClosestFacility?f=json
  *
  * * transform application/vnd.ogc.wms_xml to text/xml
- * * adding token to request without a token
  * * replace token to a request that has a token but we dont want to use it
- * * If proxied request fails due to 499/498, catching that and retry with credentials or refresh token
  * * username/password
  * * tokenServiceUri
  * * oauth, clientId, clientSecret, oauthEndpoint, accessToken
- * * POST
- * * FILES
  * * Clean config files of test data or make a separate version for testing
  */
 
@@ -31,12 +27,20 @@ const connector = require('connect');
 const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
+const stream = require('stream');
 const urlParser = require('url');
+const crypto = require('crypto');
 const BufferHelper = require('bufferhelper');
 const OS = require('os');
-const zlib = require('zlib');
 const nodeStatic = require('node-static');
 const RateMeter = require('./RateMeter');
+const TokenCache = require('./TokenCache');
+const RateQueue = require('./RateQueue');
+const ConcurrencyLimiter = require('./ConcurrencyLimiter');
+const ProxyCluster = require('./ProxyCluster');
+const AccessLog = require('./AccessLog');
+const SecretRedactor = require('./SecretRedactor');
+const ResponseInspector = require('./ResponseInspector');
 const ProjectUtilities = require('./ProjectUtilities');
 const QuickLogger = require('./QuickLogger');
 const UrlFlexParser = require('./UrlFlexParser');
@@ -49,12 +53,18 @@ const defaultAGOLRestPathStart = '/rest/info';
 const defaultAGOLSharePath = '/sharing/';
 const defaultAGOLSharePathStart = '/sharing/rest/info';
 const defaultPortalServicePath = '/arcgis/rest/info';
+const requestIdPattern = /^[A-Za-z0-9._:\/+=@-]{1,128}$/; // X-Request-Id values we accept from the client
+const proxyResponseHeaders = ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']; // headers the proxy sets, not the service
 
 var configuration = Configuration.configuration;
 var httpServer;
 var proxyServer;
 var staticFileServer = null;
 var rateMeter = null;
+var tokenCache = null;
+var rateQueue = null;
+var concurrencyLimiter = null;
+var accessLog = null;
 var serverStartTime = null;
 var attemptedRequests = 0;
 var validProcessedRequests = 0;
@@ -223,13 +233,13 @@ function getTokenEndpointFromURL(url) {
  * before it gets the token.
  * @param referrer {string} who we want the service to think is making the request.
  * @param serverUrlInfo {object} our configuration object for this service.
- * @returns {Promise} A promise to resolve with the new token or reject with an error.
+ * @returns {Promise} A promise to resolve with the new token info {token, expires} or reject with an error.
  */
 function getNewTokenFromUserNamePasswordLogin(referrer, serverUrlInfo) {
         var parameters,
             method = 'POST',
             tokenServiceUriParts,
-            token;
+            tokenInfo;
 
     return new Promise(function(resolvePromise, rejectPromise) {
         if (ProjectUtilities.isPropertySet(serverUrlInfo, 'username') && ProjectUtilities.isPropertySet(serverUrlInfo, 'password')) {
@@ -246,8 +256,12 @@ function getNewTokenFromUserNamePasswordLogin(referrer, serverUrlInfo) {
                     tokenServiceUriParts = UrlFlexParser.parseAndFixURLParts(tokenServiceUri);
                     httpRequestPromiseResponse(tokenServiceUriParts.host, tokenServiceUriParts.path, method, tokenServiceUriParts.protocol == 'https', parameters).then(
                         function (responseBody) {
-                            token = ProjectUtilities.findTokenInString(responseBody, 'token');
-                            resolvePromise(token);
+                            tokenInfo = getTokenInfoFromResponse(responseBody, 'token');
+                            if (tokenInfo.token.length > 0) {
+                                resolvePromise(tokenInfo);
+                            } else {
+                                rejectPromise(new Error(Configuration.getStringTableEntry('User login could not get a token', {response: responseBody})));
+                            }
                         },
                         function (error) {
                             rejectPromise(error);
@@ -266,8 +280,8 @@ function getNewTokenFromUserNamePasswordLogin(referrer, serverUrlInfo) {
 
 /**
  * OAuth 2.0 mode authentication "App Login" - authenticating using oauth2Endpoint, clientId, and clientSecret specified
- * in configuration. Because this is an http request (or several) it is promise based. The token is passed to the
- * promise resolve function or an error is passed to the promise reject function.
+ * in configuration. Because this is an http request (or several) it is promise based. The token info {token, expires}
+ * is passed to the promise resolve function or an error is passed to the promise reject function.
  * @param serverURLInfo
  * @param requestUrl
  * @return {Promise}
@@ -290,7 +304,11 @@ function performAppLogin(serverURLInfo) {
 
         httpRequestPromiseResponse(oauthUrlParts.hostname, oauthUrlParts.pathname, 'POST', oauthUrlParts.protocol == 'https', parameters).then(
             function(serverResponse) {
-                tokenResponse = ProjectUtilities.findTokenInString(serverResponse, 'token');
+                // OAuth replies with access_token, older token services reply with token.
+                tokenResponse = ProjectUtilities.findTokenInString(serverResponse, 'access_token');
+                if (tokenResponse.length == 0) {
+                    tokenResponse = ProjectUtilities.findTokenInString(serverResponse, 'token');
+                }
                 if (tokenResponse.length > 0) {
                     exchangePortalTokenForServerToken(tokenResponse, serverURLInfo).then(resolvePromise, rejectPromise);
                 } else {
@@ -309,9 +327,10 @@ function performAppLogin(serverURLInfo) {
  * Decide which method to login the user.
  * @param serverURLInfo
  * @param requestUrl
- * @returns {Promise} Returns the JSON reply from the server which contains the token when it succeeds, or returns an error when it fails.
+ * @param referrer {string} who we want the service to think is making the request.
+ * @returns {Promise} Resolves with the token info {token, expires} when it succeeds, or returns an error when it fails.
  */
-function performUserLogin(serverURLInfo, requestUrl) {
+function performUserLogin(serverURLInfo, requestUrl, referrer) {
     // standalone ArcGIS Server/ArcGIS Online token-based authentication
     var requestUrlParts = UrlFlexParser.parseAndFixURLParts(requestUrl),
         tokenResponse,
@@ -331,8 +350,8 @@ function performUserLogin(serverURLInfo, requestUrl) {
             };
             httpRequestPromiseResponse(requestUrlParts.hostname, requestUrlParts.pathname, 'POST', requestUrlParts.protocol == 'https', parameters).then(
                 function(serverResponse) {
-                    tokenResponse = ProjectUtilities.findTokenInString(serverResponse, 'token');
-                    if (tokenResponse.length > 0) {
+                    tokenResponse = getTokenInfoFromResponse(serverResponse, 'token');
+                    if (tokenResponse.token.length > 0) {
                         resolvePromise(tokenResponse);
                     } else {
                         rejectPromise(new Error(Configuration.getStringTableEntry('User login could not get a token', {response: serverResponse})));
@@ -353,16 +372,17 @@ function performUserLogin(serverURLInfo, requestUrl) {
  * If the serverURLInfo specifies credentials to allow login, then attempt to login and authenticate with the service.
  * @param serverURLInfo {object} the server URL we are conversing with.
  * @param requestUrl {string} URL to the login service.
- * @returns {Promise} Resolves with the new token, or rejects with an error.
+ * @param referrer {string} the validated referrer the token is requested on behalf of (can be "*").
+ * @returns {Promise} Resolves with the new token info {token, expires}, or rejects with an error.
  */
-function getNewTokenIfCredentialsAreSpecified(serverURLInfo, requestUrl) {
+function getNewTokenIfCredentialsAreSpecified(serverURLInfo, requestUrl, referrer) {
     return new Promise(function(resolvePromise, rejectPromise) {
         if (serverURLInfo.isAppLogin) {
             performAppLogin(serverURLInfo).then(resolvePromise, rejectPromise);
         } else if (serverURLInfo.isUserLogin) {
-            performUserLogin(serverURLInfo, requestUrl).then(resolvePromise, rejectPromise);
+            performUserLogin(serverURLInfo, requestUrl, referrer).then(resolvePromise, rejectPromise);
         } else {
-            rejectPromise(new Error(Configuration.getStringTableEntry('No method configured to authenticate', {url: serverURLInfo.url})));
+            rejectPromise(new Error(Configuration.getStringTableEntry('No method to authenticate', {url: serverURLInfo.url})));
         }
     });
 }
@@ -371,7 +391,7 @@ function getNewTokenIfCredentialsAreSpecified(serverURLInfo, requestUrl) {
  * Use the token we have and exchange it for a long-lived server token. This is an AGOL specific workflow because of the path transformation.
  * @param portalToken {string} user's short-lived token.
  * @param serverURLInfo {object} the server URL we are conversing with.
- * @returns {Promise} The promise to return the token from the server, once it arrives.
+ * @returns {Promise} The promise to return the token info {token, expires} from the server, once it arrives.
  */
 function exchangePortalTokenForServerToken(portalToken, serverURLInfo) {
     var responsePromise = new Promise(function(resolvePromise, rejectPromise) {
@@ -388,8 +408,8 @@ function exchangePortalTokenForServerToken(portalToken, serverURLInfo) {
 
         httpRequestPromiseResponse(host, path, 'POST', UrlFlexParser.getBestMatchProtocol('*', oauthUrlParts, serverURLInfo) == 'https', parameters).then(
             function(serverResponse) {
-                tokenResponse = ProjectUtilities.findTokenInString(serverResponse, 'token');
-                if (tokenResponse.length > 0) {
+                tokenResponse = getTokenInfoFromResponse(serverResponse, 'token');
+                if (tokenResponse.token.length > 0) {
                     resolvePromise(tokenResponse);
                 } else {
                     rejectPromise(new Error(Configuration.getStringTableEntry('Could not get a token from server response', {response: serverResponse})));
@@ -403,6 +423,45 @@ function exchangePortalTokenForServerToken(portalToken, serverURLInfo) {
     return responsePromise;
 }
 
+/**
+ * Get a token for a serverUrl we manage credentials for. A cached token is used while it is still good, otherwise
+ * we log in with the configured credentials and cache the new token until shortly before it expires.
+ * @param serverURLInfo {object} the server URL we are conversing with.
+ * @param requestUrl {string} URL of the request that needs the token.
+ * @param referrer {string} the validated referrer the token is requested on behalf of (can be "*").
+ * @returns {Promise} Resolves with the token, or rejects with an error.
+ */
+function getTokenForServerUrl(serverURLInfo, requestUrl, referrer) {
+    return tokenCache.getToken(serverURLInfo, referrer, function() {
+        return getNewTokenIfCredentialsAreSpecified(serverURLInfo, requestUrl, referrer);
+    });
+}
+
+/**
+ * Pull the token and its expiration time out of a token service response. ArcGIS token services reply with
+ * expires as milliseconds since the epoch, OAuth replies with expires_in as seconds from now.
+ * @param serverResponse {string} the response body from the token service.
+ * @param tokenKey {string} the attribute holding the token, usually token or access_token.
+ * @returns {{token: string, expires: number}} token is '' if not found, expires is 0 if not found.
+ */
+function getTokenInfoFromResponse(serverResponse, tokenKey) {
+    var expires = parseInt(ProjectUtilities.findNumberAfterTokenInString(serverResponse, 'expires'), 10),
+        expiresIn;
+
+    if (isNaN(expires) || expires <= 0) {
+        expiresIn = parseInt(ProjectUtilities.findNumberAfterTokenInString(serverResponse, 'expires_in'), 10);
+        if (isNaN(expiresIn) || expiresIn <= 0) {
+            expires = 0;
+        } else {
+            expires = Date.now() + expiresIn * 1000;
+        }
+    }
+    return {
+        token: ProjectUtilities.findTokenInString(serverResponse, tokenKey),
+        expires: expires
+    };
+}
+
 /**
  * Issue an HTTP request and wait for a response from the server. An http request is an asynchronous request
  * using Node's http client. This is promised based, so the function returns a promise that will resolve with
@@ -423,6 +482,7 @@ function httpRequestPromiseResponse(host, path, method, useHttps, parameters) {
             },
             requestBody = ProjectUtilities.objectToQueryString(parameters),
             requestHeaders = {},
+            requestId = QuickLogger.getRequestId(),
             responseStatus = 0,
             responseBody = '',
             request;
@@ -454,6 +514,9 @@ function httpRequestPromiseResponse(host, path, method, useHttps, parameters) {
             httpRequestOptions.path += '?' + requestBody;
             requestBody = '';
         }
+        if (requestId != null) {
+            requestHeaders['X-Request-Id'] = requestId;
+        }
         httpRequestOptions.headers = requestHeaders;
         if (useHttps) {
             httpRequestOptions.protocol = 'https:';
@@ -473,6 +536,8 @@ function httpRequestPromiseResponse(host, path, method, useHttps, parameters) {
 /**
  * Calling this function means the request has passed all tests and we are going to contact the proxied service
  * and try to reply back to the caller with what it responds with. We will do any token refresh here if necessary.
+ * When the serverUrl limits the requests in flight (maxConcurrent, maxConcurrentPerReferrer) the request first waits
+ * for a free slot, or gets 503 when there is none.
  * @param urlRequestedParts - our object of the request components.
  * @param serverURLInfo - the matching server url configuration for this request.
  * @param referrer {string} the validated referrer we are tracking (can be "*").
@@ -482,20 +547,9 @@ function httpRequestPromiseResponse(host, path, method, useHttps, parameters) {
  */
 function processValidatedRequest (urlRequestedParts, serverURLInfo, referrer, request, response) {
     var statusCode = 200,
-        statusMessage,
-        proxyRequest,
-        parsedHostRedirect,
-        hostname,
-        contentType,
-        parametersCombined = '',
-        parameters;
+        statusMessage;
 
     if (serverURLInfo != null) {
-        // TODO: GET - combine params from query with url request
-        // TODO: POST, PUT - combine params from query or form with url request
-        // TODO: test FILES
-        // TODO: Handle Auth, oauth
-
         if (proxyServer != null) {
             serverURLInfo.lastRequest = new Date();
             if (serverURLInfo.firstRequest == 0) {
@@ -503,61 +557,23 @@ function processValidatedRequest (urlRequestedParts, serverURLInfo, referrer, re
             }
             serverURLInfo.totalRequests ++;
 
-            // Combine query parameters of the current request with the configuration.
-            parameters = UrlFlexParser.combineParameters(request, urlRequestedParts, serverURLInfo, serverURLInfo.parameterOverride);
-
-            // if no token was provided in the request but one is in the configuration then use the configured token.
-            if (ProjectUtilities.isPropertySet(serverURLInfo, 'accessToken')) {
-                ProjectUtilities.addIfPropertyNotSet(parameters, 'token', serverURLInfo.accessToken);
-            } else if (ProjectUtilities.isPropertySet(serverURLInfo, 'token')) {
-                ProjectUtilities.addIfPropertyNotSet(parameters, 'token', serverURLInfo.token);
-            }
-
-            if ( ! ProjectUtilities.isEmptyObject(parameters)) {
-                parametersCombined = ProjectUtilities.objectToQueryString(parameters);
-            }
-            if (serverURLInfo.isHostRedirect) {
-                // Host Redirect means either replace the host and use path from the request when parsedHostRedirect has no path,
-                // or redirect to host and path from parsedHostRedirect when there is a path,
-                // then replace everything else received in the request (query, auth).
-                parsedHostRedirect = serverURLInfo.parsedHostRedirect;
-                hostname = parsedHostRedirect.hostname;
-                proxyRequest = UrlFlexParser.buildFullURLFromParts(parsedHostRedirect, parametersCombined);
+            if ((serverURLInfo.maxConcurrent > 0 || serverURLInfo.maxConcurrentPerReferrer > 0) && concurrencyLimiter != null) {
+                // take one of the slots of this serverUrl, it is given back once the response is done, however it ends.
+                concurrencyLimiter.acquire(serverURLInfo, referrer).then(function(releaseSlot) {
+                    if (releaseSlot == null) {
+                        QuickLogger.logWarnEvent(Configuration.getStringTableEntry('Concurrency limit reached', {url: serverURLInfo.url, referrer: referrer}));
+                        response.setHeader('Retry-After', 1);
+                        sendErrorResponse(urlRequestedParts.proxyPath, response, 503, Configuration.getStringTableEntry('Too many concurrent requests', null));
+                    } else if (request.destroyed) {
+                        releaseSlot(); // the client gave up while waiting for a slot
+                    } else {
+                        response.on('close', releaseSlot);
+                        readAndPrepareProxyRequest(urlRequestedParts, serverURLInfo, referrer, request, response);
+                    }
+                });
             } else {
-                hostname = serverURLInfo.hostname;
-                proxyRequest = UrlFlexParser.buildURLFromReferrerRequestAndInfo(referrer, urlRequestedParts, serverURLInfo);
+                readAndPrepareProxyRequest(urlRequestedParts, serverURLInfo, referrer, request, response);
             }
-
-            // TODO: Combine parameters of the two requests, current request parameters override configured parameters
-            // TODO: !!!! Fuck! can't do this here, as we do not have the body yet.
-            if (request.method == 'POST' || request.method == 'PUT') {
-                contentType = request.headers['Content-Type'];
-                if (contentType.indexOf('x-www-form-urlencoded') >= 0) {
-                    // Its a post we have to read the entire body and extract the token form parameter if it's there.
-
-                } else if (contentType.indexOf('multipart') >= 0) {
-                    // this sucks. A post with files means we need to parse the whole thing, find the form, hold the file(s)
-                    // in memory, find the form parameters, see if there is a token, then resend it all to the server.
-
-                }
-            }
-            // Fix the request to transform it from our proxy server into a spoof of the matching request against the
-            // proxied service
-            request.url = proxyRequest;
-            request.headers.host = hostname;
-
-
-
-            // TODO: if a token based request we should check if the token we have is any good and if not generate a new token
-
-
-            // TODO: Not really sure this worked if the proxy generates an error as we are not catching any error from the proxied service
-            validProcessedRequests ++;
-            QuickLogger.logInfoEvent("==> Issuing proxy request [" + request.method + "]" + request.url + " for " + proxyRequest);
-            proxyServer.web(request, response, {
-                target: proxyRequest,
-                ignorePath: true
-            }, proxyResponseError);
         } else {
             statusCode = 500;
             statusMessage = Configuration.getStringTableEntry('Internal error', null);
@@ -574,6 +590,375 @@ function processValidatedRequest (urlRequestedParts, serverURLInfo, referrer, re
     return statusCode != 200;
 }
 
+/**
+ * Get the request ready to forward: read a form body so its parameters can be combined, and find the boundary of a
+ * multipart upload. Uploads that are too large are turned down.
+ * @param urlRequestedParts - our object of the request components.
+ * @param serverURLInfo - the matching server url configuration for this request.
+ * @param referrer {string} the validated referrer we are tracking (can be "*").
+ * @param request - the http server request object.
+ * @param response - the http server response object.
+ */
+function readAndPrepareProxyRequest(urlRequestedParts, serverURLInfo, referrer, request, response) {
+    if (isUploadTooLarge(request)) {
+        // no need to read the body when the client already told us it is too big.
+        sendUploadTooLargeResponse(urlRequestedParts.proxyPath, request, response);
+    } else if (isFormURLEncodedRequest(request)) {
+        // The form parameters are in the body, we have to read all of it before we can combine the parameters.
+        readRequestBody(request).then(
+            function(body) {
+                request.body = body.toString();
+                prepareProxyRequest(urlRequestedParts, serverURLInfo, referrer, request, response);
+            },
+            function(error) {
+                if (error.isUploadTooLarge) {
+                    sendUploadTooLargeResponse(urlRequestedParts.proxyPath, request, response);
+                } else {
+                    sendErrorResponse(urlRequestedParts.proxyPath, response, 400, Configuration.getStringTableEntry('Could not read request body', {error: error.message}));
+                }
+            }
+        );
+    } else {
+        if (isMultipartRequest(request)) {
+            // Uploads are streamed to the service as they arrive, we only need the boundary to add form fields.
+            request.multipartBoundary = getMultipartBoundary(request.headers['content-type']);
+        }
+        prepareProxyRequest(urlRequestedParts, serverURLInfo, referrer, request, response);
+    }
+}
+
+/**
+ * Build the request to the proxied service: combine the parameters of the request with the configuration, add a token
+ * when we have one for this service, then forward it. If the request is a form post (request.body is set) the combined
+ * parameters are sent in the body, otherwise they are sent in the query string. A token for a multipart upload is
+ * sent as an additional form field.
+ * @param urlRequestedParts - our object of the request components.
+ * @param serverURLInfo - the matching server url configuration for this request.
+ * @param referrer {string} the validated referrer we are tracking (can be "*").
+ * @param request - the http server request object.
+ * @param response - the http server response object.
+ */
+function prepareProxyRequest(urlRequestedParts, serverURLInfo, referrer, request, response) {
+    var proxyRequest,
+        parsedHostRedirect,
+        hostname,
+        isFormBody = request.body !== undefined,
+        parametersCombined = '',
+        parameters;
+
+    // Combine query parameters of the current request with the configuration.
+    parameters = UrlFlexParser.combineParameters(request, urlRequestedParts, serverURLInfo, serverURLInfo.parameterOverride);
+
+    // if no token was provided in the request but one is in the configuration then use the configured token.
+    if ((ProjectUtilities.isPropertySet(serverURLInfo, 'accessToken') || ProjectUtilities.isPropertySet(serverURLInfo, 'token')) && ! ProjectUtilities.isPropertySet(parameters, 'token')) {
+        request.accessLog.tokenInjected = true;
+    }
+    if (ProjectUtilities.isPropertySet(serverURLInfo, 'accessToken')) {
+        ProjectUtilities.addIfPropertyNotSet(parameters, 'token', serverURLInfo.accessToken);
+    } else if (ProjectUtilities.isPropertySet(serverURLInfo, 'token')) {
+        ProjectUtilities.addIfPropertyNotSet(parameters, 'token', serverURLInfo.token);
+    }
+
+    if ( ! isFormBody && ! ProjectUtilities.isEmptyObject(parameters)) {
+        parametersCombined = ProjectUtilities.objectToQueryString(parameters);
+    }
+    if (serverURLInfo.isHostRedirect) {
+        // Host Redirect means either replace the host and use path from the request when parsedHostRedirect has no path,
+        // or redirect to host and path from parsedHostRedirect when there is a path,
+        // then replace everything else received in the request (query, auth).
+        parsedHostRedirect = serverURLInfo.parsedHostRedirect;
+        hostname = parsedHostRedirect.hostname;
+        proxyRequest = UrlFlexParser.buildFullURLFromParts(parsedHostRedirect, parametersCombined);
+    } else {
+        hostname = serverURLInfo.hostname;
+        proxyRequest = UrlFlexParser.buildURLFromReferrerRequestAndInfo(referrer, urlRequestedParts, serverURLInfo);
+        if (isFormBody && proxyRequest.indexOf('?') >= 0) {
+            // the query parameters were combined into the form body
+            proxyRequest = proxyRequest.substr(0, proxyRequest.indexOf('?'));
+        }
+    }
+    if (isFormBody) {
+        request.proxyBody = ProjectUtilities.objectToQueryString(parameters);
+    }
+    request.headers.host = hostname;
+    request.validatedReferrer = referrer;
+
+    // When we manage the credentials for this service get a token (or reuse the one we have) before the request is
+    // forwarded, unless the request already carries its own token.
+    if ((serverURLInfo.isAppLogin || serverURLInfo.isUserLogin) && ! hasRequestToken(request, proxyRequest)) {
+        getTokenForServerUrl(serverURLInfo, proxyRequest, referrer).then(
+            function(token) {
+                request.accessLog.tokenInjected = true;
+                sendProxyRequest(request, response, setRequestToken(request, proxyRequest, token));
+            },
+            function(error) {
+                QuickLogger.logErrorEvent(Configuration.getStringTableEntry('Token refresh failed', {url: serverURLInfo.url, error: error.message}));
+                sendErrorResponse(urlRequestedParts.proxyPath, response, 502, Configuration.getStringTableEntry('Could not generate a new token', null));
+            }
+        );
+    } else {
+        sendProxyRequest(request, response, proxyRequest);
+    }
+}
+
+/**
+ * Get the token the proxied request will be sent with, either from the form body when we are forwarding one or
+ * from the query string of the proxied URL. We do not look inside multipart uploads, only a token we added ourselves
+ * is known.
+ * @param request - the http server request object.
+ * @param proxyRequest {string} the full URL of the proxied service.
+ * @returns {string|null} the token, null if the request does not have one.
+ */
+function getRequestToken(request, proxyRequest) {
+    var formParameters;
+
+    if (request.proxyBody !== undefined) {
+        formParameters = ProjectUtilities.queryStringToObject(request.proxyBody);
+        return formParameters.hasOwnProperty('token') ? formParameters.token : null;
+    } else if (request.multipartToken !== undefined) {
+        return request.multipartToken;
+    } else {
+        return UrlFlexParser.getParameterFromURL(proxyRequest, 'token');
+    }
+}
+
+/**
+ * Determine if the proxied request already carries a token.
+ * @param request - the http server request object.
+ * @param proxyRequest {string} the full URL of the proxied service.
+ * @returns {boolean}
+ */
+function hasRequestToken(request, proxyRequest) {
+    return getRequestToken(request, proxyRequest) != null;
+}
+
+/**
+ * Set the token on the proxied request. A form post gets the token in the body, a multipart upload gets a token form
+ * field, any other request gets it in the query string.
+ * @param request - the http server request object.
+ * @param proxyRequest {string} the full URL of the proxied service.
+ * @param token {string} the token to send.
+ * @returns {string} the full URL of the proxied service to use.
+ */
+function setRequestToken(request, proxyRequest, token) {
+    var formParameters;
+
+    if (request.proxyBody !== undefined) {
+        formParameters = ProjectUtilities.queryStringToObject(request.proxyBody);
+        formParameters.token = token;
+        request.proxyBody = ProjectUtilities.objectToQueryString(formParameters);
+        return proxyRequest;
+    } else if (request.multipartBoundary != null) {
+        request.multipartToken = token;
+        return proxyRequest;
+    } else {
+        return UrlFlexParser.setParameterInURL(proxyRequest, 'token', token);
+    }
+}
+
+/**
+ * Determine if the request sends its parameters as a form in the body (application/x-www-form-urlencoded).
+ * Node gives us the header names in lower case.
+ * @param request - the http server request object.
+ * @returns {boolean}
+ */
+function isFormURLEncodedRequest(request) {
+    var contentType = request.headers['content-type'];
+    return (request.method == 'POST' || request.method == 'PUT') && contentType !== undefined && contentType.toLowerCase().indexOf('x-www-form-urlencoded') >= 0;
+}
+
+/**
+ * Determine if the request is a file upload (multipart/form-data).
+ * @param request - the http server request object.
+ * @returns {boolean}
+ */
+function isMultipartRequest(request) {
+    var contentType = request.headers['content-type'];
+    return (request.method == 'POST' || request.method == 'PUT') && contentType !== undefined && contentType.toLowerCase().indexOf('multipart/form-data') >= 0;
+}
+
+/**
+ * Get the boundary string separating the parts of a multipart body from its Content-Type header.
+ * @param contentType {string} e.g. multipart/form-data; boundary=----WebKitFormBoundary7MA4YWxkTrZu0gW
+ * @returns {string|null} the boundary, null if there is none.
+ */
+function getMultipartBoundary(contentType) {
+    var match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    if (match != null) {
+        return (match[1] || match[2]).trim();
+    } else {
+        return null;
+    }
+}
+
+/**
+ * Build a multipart part holding a single form field, ready to be sent ahead of the parts the client sent.
+ * @param boundary {string} the multipart boundary of the request.
+ * @param name {string} form field name.
+ * @param value {string} form field value.
+ * @returns {string}
+ */
+function buildMultipartField(boundary, name, value) {
+    return '--' + boundary + '\r\nContent-Disposition: form-data; name="' + name + '"\r\n\r\n' + value + '\r\n';
+}
+
+/**
+ * Determine if the client told us (with Content-Length) it is sending a body larger than we accept.
+ * @param request - the http server request object.
+ * @returns {boolean}
+ */
+function isUploadTooLarge(request) {
+    var contentLength = parseInt(request.headers['content-length'], 10);
+    return configuration.maxUploadSize > 0 && ! isNaN(contentLength) && contentLength > configuration.maxUploadSize;
+}
+
+/**
+ * Reply 413 to a request with a body larger than maxUploadSize. We close the connection rather than read the rest of the body.
+ * @param urlRequested {string} the path that was requested.
+ * @param request - the http server request object.
+ * @param response - the http server response object.
+ */
+function sendUploadTooLargeResponse(urlRequested, request, response) {
+    if (request.proxyClientRequest !== undefined) {
+        request.proxyClientRequest.abort();
+    }
+    if ( ! response.headersSent) {
+        response.setHeader('Connection', 'close');
+        sendErrorResponse(urlRequested, response, 413, Configuration.getStringTableEntry('Upload too large', {size: configuration.maxUploadSize}));
+    }
+}
+
+/**
+ * Create the stream we send to the proxied service for a request we do not hold in memory, such as a multipart upload.
+ * The request body is passed through as it arrives, preceded by any form field we need to add, and the upload is cut off
+ * with a 413 response once it grows beyond maxUploadSize.
+ * @param request - the http server request object.
+ * @param response - the http server response object.
+ * @param prefix {string} data to send before the request body, '' if none.
+ * @returns {stream.Transform}
+ */
+function createUploadStream(request, response, prefix) {
+    var uploadSize = 0,
+        uploadStream = new stream.Transform({
+            transform: function(chunk, encoding, callback) {
+                uploadSize += chunk.length;
+                request.accessLog.bytesIn = uploadSize;
+                if (configuration.maxUploadSize > 0 && uploadSize > configuration.maxUploadSize) {
+                    request.unpipe(uploadStream);
+                    sendUploadTooLargeResponse(request.url, request, response);
+                    callback();
+                } else {
+                    callback(null, chunk);
+                }
+            }
+        });
+
+    if (prefix.length > 0) {
+        uploadStream.push(prefix);
+    }
+    request.pipe(uploadStream);
+    return uploadStream;
+}
+
+/**
+ * Read the entire body of a request. This function is promise based, it resolves with a Buffer of the body once it
+ * has all arrived or rejects with an error if the request fails or the body grows beyond maxUploadSize.
+ * @param request - the http server request object.
+ * @returns {Promise}
+ */
+function readRequestBody(request) {
+    return new Promise(function(resolvePromise, rejectPromise) {
+        var buffer = new BufferHelper(),
+            bodySize = 0,
+            error;
+
+        request.on('data', function(chunk) {
+            bodySize += chunk.length;
+            if (configuration.maxUploadSize > 0 && bodySize > configuration.maxUploadSize) {
+                error = new Error(Configuration.getStringTableEntry('Upload too large', {size: configuration.maxUploadSize}));
+                error.isUploadTooLarge = true;
+                request.removeAllListeners('data');
+                rejectPromise(error);
+            } else {
+                buffer.concat(chunk);
+            }
+        });
+        request.on('end', function() {
+            request.accessLog.bytesIn = bodySize;
+            resolvePromise(buffer.toBuffer());
+        });
+        request.on('error', function(error) {
+            rejectPromise(error);
+        });
+    });
+}
+
+/**
+ * Build the http-proxy options to send the request to the proxied service. When we rewrote the form body we send
+ * our copy of it instead of the original request stream, with the Content-Length updated to match. Multipart uploads
+ * are streamed, with a token form field in front of the client's parts when we have a token to add.
+ * @param request - the http server request object.
+ * @param response - the http server response object.
+ * @param proxyRequest {string} the full URL of the proxied service we are sending the request to.
+ * @returns {object} options for proxyServer.web().
+ */
+function getProxyOptions(request, response, proxyRequest) {
+    var options = {
+            target: proxyRequest,
+            ignorePath: true
+        },
+        bodyStream,
+        prefix = '',
+        contentLength;
+
+    if (request.proxyBody !== undefined) {
+        bodyStream = new stream.PassThrough();
+        bodyStream.end(request.proxyBody);
+        delete request.headers['transfer-encoding'];
+        request.headers['content-length'] = Buffer.byteLength(request.proxyBody);
+        options.buffer = bodyStream;
+    } else if (request.multipartBoundary != null) {
+        if (request.multipartToken !== undefined) {
+            prefix = buildMultipartField(request.multipartBoundary, 'token', request.multipartToken);
+            contentLength = parseInt(request.headers['content-length'], 10);
+            if ( ! isNaN(contentLength)) {
+                request.headers['content-length'] = contentLength + Buffer.byteLength(prefix);
+            }
+        }
+        options.buffer = createUploadStream(request, response, prefix);
+    }
+    return options;
+}
+
+/**
+ * Determine if we can send the request to the proxied service a second time, for example after a token refresh. We
+ * can only do that if there is no body or we are holding the body in memory, a streamed body is gone once it was sent.
+ * @param request - the http server request object.
+ * @returns {boolean}
+ */
+function canRetryRequest(request) {
+    return request.proxyBody !== undefined || request.method == 'GET' || request.method == 'HEAD';
+}
+
+/**
+ * Forward the request to the proxied service. The request is rewritten to target the service so that any retry
+ * (such as after a token refresh) can issue it again.
+ * @param request - the http server request object.
+ * @param response - the http server response object.
+ * @param proxyRequest {string} the full URL of the proxied service we are sending the request to.
+ */
+function sendProxyRequest(request, response, proxyRequest) {
+    // Fix the request to transform it from our proxy server into a spoof of the matching request against the
+    // proxied service
+    request.url = proxyRequest;
+    request.accessLog.target = UrlFlexParser.removeParameterFromURL(proxyRequest, 'token');
+
+    // TODO: Not really sure this worked if the proxy generates an error as we are not catching any error from the proxied service
+    validProcessedRequests ++;
+    QuickLogger.logInfoEvent("==> Issuing proxy request [" + request.method + "]" + request.url + " for " + proxyRequest);
+    proxyServer.web(request, response, getProxyOptions(request, response, proxyRequest), proxyResponseError);
+}
+
 /**
  * Respond to a ping request. A ping tells a client we are alive and gives out some status response.
  * @param referrer {string} - who asked for it.
@@ -603,45 +988,187 @@ function sendEchoResponse (referrer, request, response) {
 }
 
 /**
- * Respond to a server status request.
+ * Collect the request counters of this process, for the status page. Times are in milliseconds so the statistics can
+ * be sent to another process of the cluster.
+ * @returns {object} {pid, upTime, requests, processed, rejected, serverUrls} where serverUrls lists {url, total,
+ *   firstRequest, lastRequest, queued, inFlight, waiting, referrers} for each serverUrl.
+ */
+function getLocalStatistics () {
+    return {
+        pid: process.pid,
+        upTime: serverStartTime != null ? new Date() - serverStartTime : 0,
+        requests: attemptedRequests,
+        processed: validProcessedRequests,
+        rejected: errorProcessedRequests,
+        serverUrls: configuration.serverUrls.map(function (serverUrl) {
+            var inFlight = concurrencyLimiter != null ? concurrencyLimiter.getInFlight(serverUrl.url) : {total: 0, waiting: 0, referrers: {}};
+
+            return {
+                url: serverUrl.url,
+                total: serverUrl.totalRequests,
+                firstRequest: serverUrl.firstRequest == 0 ? 0 : serverUrl.firstRequest.getTime(),
+                lastRequest: serverUrl.lastRequest == 0 ? 0 : serverUrl.lastRequest.getTime(),
+                queued: rateQueue != null ? rateQueue.getQueueLength(serverUrl.url) : 0,
+                inFlight: inFlight.total,
+                waiting: inFlight.waiting,
+                referrers: inFlight.referrers
+            };
+        })
+    };
+}
+
+/**
+ * Add up the statistics of the processes of a cluster, see getLocalStatistics(). A serverUrl a process does not have
+ * (its configuration was not reloaded yet) is left out of its counts.
+ * @param statisticsList {Array} the statistics of each process.
+ * @returns {object} {requests, processed, rejected, serverUrls} where serverUrls is indexed by url.
+ */
+function combineStatistics (statisticsList) {
+    var combined = {
+        requests: 0,
+        processed: 0,
+        rejected: 0,
+        serverUrls: {}
+    };
+
+    statisticsList.forEach(function (statistics) {
+        combined.requests += statistics.requests;
+        combined.processed += statistics.processed;
+        combined.rejected += statistics.rejected;
+        statistics.serverUrls.forEach(function (serverUrlStatistics) {
+            var total = combined.serverUrls[serverUrlStatistics.url],
+                referrer;
+
+            if (total === undefined) {
+                total = {total: 0, firstRequest: 0, lastRequest: 0, queued: 0, inFlight: 0, waiting: 0, referrers: {}};
+                combined.serverUrls[serverUrlStatistics.url] = total;
+            }
+            total.total += serverUrlStatistics.total;
+            if (serverUrlStatistics.firstRequest > 0 && (total.firstRequest == 0 || serverUrlStatistics.firstRequest < total.firstRequest)) {
+                total.firstRequest = serverUrlStatistics.firstRequest;
+            }
+            total.lastRequest = Math.max(total.lastRequest, serverUrlStatistics.lastRequest);
+            total.queued += serverUrlStatistics.queued;
+            total.inFlight += serverUrlStatistics.inFlight;
+            total.waiting += serverUrlStatistics.waiting;
+            for (referrer in serverUrlStatistics.referrers) {
+                if (serverUrlStatistics.referrers.hasOwnProperty(referrer)) {
+                    total.referrers[referrer] = (total.referrers[referrer] || 0) + serverUrlStatistics.referrers[referrer];
+                }
+            }
+        });
+    });
+    return combined;
+}
+
+/**
+ * Respond to a server status request. In cluster mode the counters are those of all the workers added up.
  * @param referrer - who asked for it.
  * @param response - http response object.
  */
 function sendStatusResponse (referrer, response) {
+    ProxyCluster.getClusterStatistics(getLocalStatistics()).then(function (statisticsList) {
+        reportStatus(referrer, response, statisticsList);
+    });
+    QuickLogger.logInfoEvent(Configuration.getStringTableEntry('Status request from', {referrer: referrer}));
+}
+
+/**
+ * Build the server status and send it.
+ * @param referrer - who asked for it.
+ * @param response - http response object.
+ * @param statisticsList {Array} the statistics of each process of the cluster, see getLocalStatistics().
+ */
+function reportStatus (referrer, response, statisticsList) {
     try {
         var timeNow = new Date(),
             i,
             serverUrl,
+            serverUrlStatistics,
+            statistics = combineStatistics(statisticsList),
             serverUrls = configuration.serverUrls,
             responseObject = {
                 "Proxy Version": proxyVersion,
                 "Configuration File": "OK",
                 "Log File": QuickLogger.getLogFileSize(),
                 "Up-time": ProjectUtilities.formatMillisecondsToHHMMSS(timeNow - serverStartTime),
-                "Requests": attemptedRequests,
-                "Requests processed": validProcessedRequests + 1, // because this is a valid request that hasn't been counted yet
-                "Requests rejected": errorProcessedRequests,
+                "Requests": statistics.requests,
+                "Requests processed": statistics.processed + 1, // because this is a valid request that hasn't been counted yet
+                "Requests rejected": statistics.rejected,
                 "Referrers Allowed": configuration.allowedReferrers.map(function (allowedReferrer) {
                     return allowedReferrer.referrer;
                 }).join(', '),
                 "Referrer": referrer,
                 "URL Stats": [],
-                "Rate Meter": []
+                "Rate Meter": [],
+                "Quotas": [],
+                "Rate Queue": [],
+                "In Flight": []
             };
+        if (ProxyCluster.isWorker()) {
+            responseObject['Workers'] = statisticsList.map(function (workerStatistics) {
+                return {
+                    'pid': workerStatistics.pid,
+                    'requests': workerStatistics.requests,
+                    'Up-time': ProjectUtilities.formatMillisecondsToHHMMSS(workerStatistics.upTime)
+                };
+            });
+        }
         for (i = 0; i < serverUrls.length; i ++) {
             serverUrl = serverUrls[i];
+            serverUrlStatistics = statistics.serverUrls[serverUrl.url];
             if ( ! serverUrl.useRateMeter) {
                 responseObject['URL Stats'].push({
                     'url': serverUrl.url.substring(0, 100) + (serverUrl.url.length > 100 ? '...' : ''),
-                    'total': serverUrl.totalRequests,
-                    'firstRequest': serverUrl.firstRequest == 0 ? '-' : serverUrl.firstRequest.toLocaleString(),
-                    'lastRequest': serverUrl.lastRequest == 0 ? '-' : serverUrl.lastRequest.toLocaleString()
+                    'total': serverUrlStatistics.total,
+                    'firstRequest': serverUrlStatistics.firstRequest == 0 ? '-' : new Date(serverUrlStatistics.firstRequest).toLocaleString(),
+                    'lastRequest': serverUrlStatistics.lastRequest == 0 ? '-' : new Date(serverUrlStatistics.lastRequest).toLocaleString()
+                });
+            }
+        }
+        for (i = 0; i < serverUrls.length; i ++) {
+            serverUrl = serverUrls[i];
+            if (serverUrl.useRateMeter && serverUrl.rateExceededAction == 'queue' && rateQueue != null) {
+                responseObject['Rate Queue'].push({
+                    'url': serverUrl.url.substring(0, 100) + (serverUrl.url.length > 100 ? '...' : ''),
+                    'queued': statistics.serverUrls[serverUrl.url].queued,
+                    'maxQueueLength': serverUrl.maxQueueLength,
+                    'maxQueueWait': serverUrl.maxQueueWait
+                });
+            }
+        }
+        for (i = 0; i < serverUrls.length; i ++) {
+            serverUrl = serverUrls[i];
+            serverUrlStatistics = statistics.serverUrls[serverUrl.url];
+            if ((serverUrl.maxConcurrent > 0 || serverUrl.maxConcurrentPerReferrer > 0) && concurrencyLimiter != null) {
+                responseObject['In Flight'].push({
+                    'url': serverUrl.url.substring(0, 100) + (serverUrl.url.length > 100 ? '...' : ''),
+                    'inFlight': serverUrlStatistics.inFlight,
+                    'waiting': serverUrlStatistics.waiting,
+                    'maxConcurrent': serverUrl.maxConcurrent,
+                    'maxConcurrentPerReferrer': serverUrl.maxConcurrentPerReferrer,
+                    'referrers': Object.keys(serverUrlStatistics.referrers).map(function (inFlightReferrer) {
+                        return inFlightReferrer + ': ' + serverUrlStatistics.referrers[inFlightReferrer];
+                    }).join(', ')
                 });
             }
         }
         if (rateMeter != null) {
             rateMeter.databaseDump().then(function (responseIsArrayOfTableRows) {
                 responseObject['Rate Meter'] = responseIsArrayOfTableRows;
+                return rateMeter.getQuotaStatus();
+            }).then(function (quotas) {
+                responseObject['Quotas'] = quotas.map(function (quota) {
+                    return {
+                        'url': quota.url.substring(0, 100) + (quota.url.length > 100 ? '...' : ''),
+                        'referrer': quota.referrer,
+                        'period': quota.period,
+                        'quota': quota.quota,
+                        'used': quota.used,
+                        'remaining': quota.remaining,
+                        'resets': quota.resets.toLocaleString()
+                    };
+                });
                 reportHTMLStatusResponse(responseObject, response);
             }, function (databaseError) {
                 responseObject.error = databaseError.toLocaleString();
@@ -651,11 +1178,11 @@ function sendStatusResponse (referrer, response) {
     } catch (exception) {
         sendErrorResponse('status', response, 500, Configuration.getStringTableEntry('System error processing request', {message: exception.toLocaleString()}));
     }
-    QuickLogger.logInfoEvent(Configuration.getStringTableEntry('Status request from', {referrer: referrer}));
 }
 
 /**
- * Create an HTML dump of some valuable information regarding the current status of this proxy server.
+ * Create an HTML dump of some valuable information regarding the current status of this proxy server. Secrets in
+ * the information are masked.
  * @param responseObject {Object} we iterate this object as the information to report.
  * @param response {Object} the http response object to write to.
  */
@@ -670,6 +1197,7 @@ function reportHTMLStatusResponse (responseObject, response) {
         i,
         statusCode = 200;
 
+    responseObject = SecretRedactor.redactObject(responseObject);
     // TODO: extract HTML template into separate loadable files or string table
     responseBody = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n<title>' + Configuration.getStringTableEntry('Resource Proxy Status title', null) + '</title>\n</head>\n<body>\n\n<h1>' + Configuration.getStringTableEntry('Resource Proxy Status title', null) + '</h1>';
     for (key in responseObject) {
@@ -727,31 +1255,81 @@ function sendJSONResponse (response, statusCode, responseObject) {
 
 /**
  * Reply with an error JSON object describing what may have gone wrong. This is used if there is
- * an error calling this proxy service, not for errors with the proxied service.
+ * an error calling this proxy service, not for errors with the proxied service. Secrets in the path and the
+ * message are masked, they may come from the request query. The reply includes the request id, if it has one.
  * @param urlRequested the path that was requested.
  * @param response the response object so we can complete the response.
  * @param errorCode the error code we want to report to the caller.
  * @param errorMessage the error message we want to report to the caller.
  */
 function sendErrorResponse (urlRequested, response, errorCode, errorMessage) {
-    var responseBody = {
+    var responseBody;
+
+    urlRequested = SecretRedactor.redactText(urlRequested);
+    errorMessage = SecretRedactor.redactText(errorMessage);
+    responseBody = {
         error: {
             code: errorCode,
             details: errorMessage,
             message: errorMessage
         },
-        request: urlRequested
+        request: urlRequested,
+        requestId: response.getHeader('X-Request-Id')
     };
     sendJSONResponse(response, errorCode, responseBody);
     errorProcessedRequests ++;
     QuickLogger.logErrorEvent(Configuration.getStringTableEntry('Request error with info', {error: errorMessage, code: errorCode, url: urlRequested}));
 }
 
+/**
+ * Determine the IP address of the client making the request. When the request comes from one of the trustedProxies
+ * we walk its X-Forwarded-For header from the end, skipping the trusted proxies, the first address we do not trust
+ * is the client. Addresses added before it could be made up by the client so they are not used.
+ * @param request {object} the http request object.
+ * @returns {string} the client IP address, '' if it cannot be determined.
+ */
+function getClientIPAddress(request) {
+    var clientAddress = ProjectUtilities.normalizeIPAddress(request.socket != null ? request.socket.remoteAddress : null),
+        forwardedAddresses,
+        forwardedAddress,
+        i;
+
+    if (request.headers['x-forwarded-for'] !== undefined && ProjectUtilities.isAddressInList(configuration.trustedProxies, clientAddress)) {
+        forwardedAddresses = request.headers['x-forwarded-for'].toString().split(',');
+        for (i = forwardedAddresses.length - 1; i >= 0; i --) {
+            forwardedAddress = ProjectUtilities.normalizeIPAddress(forwardedAddresses[i]);
+            if (forwardedAddress == '') {
+                break;
+            }
+            clientAddress = forwardedAddress;
+            if ( ! ProjectUtilities.isAddressInList(configuration.trustedProxies, clientAddress)) {
+                break;
+            }
+        }
+    }
+    return clientAddress;
+}
+
+/**
+ * Tell the client where it stands with the rate limit of the resource it requested, using the RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset (seconds) headers. The proxied service response is sent with these headers.
+ * @param response {object} the http response object.
+ * @param rateStatus {object} the rate status from RateMeter.checkRate().
+ */
+function setRateLimitHeaders(response, rateStatus) {
+    if (rateStatus.limit > 0 && ! response.headersSent) {
+        response.setHeader('RateLimit-Limit', rateStatus.limit);
+        response.setHeader('RateLimit-Remaining', rateStatus.remaining);
+        response.setHeader('RateLimit-Reset', rateStatus.reset);
+    }
+}
+
 /**
  * Determine if this request is within the rate meter threshold. If it is we continue to processValidatedRequest().
  * If it is not we generate the client reply here. Because the rate meter check is asynchronous and this function will
  * return before the check is complete it was just easier to deal with all subsequent processing here instead of
- * turning this into a promise. Something to reconsider for the next update.
+ * turning this into a promise. Something to reconsider for the next update. Requests exempt from rate limits are only
+ * counted.
  * @param referrer {string} the validated referrer we are tracking (can be "*").
  * @param requestParts - the parsed URL that is being requested
  * @param serverURLInfo - the serverUrls object matching this request
@@ -761,18 +1339,45 @@ function sendErrorResponse (urlRequested, response, errorCode, errorMessage) {
  * TODO: This function should return a promise that if resolved then calls processValidatedRequest
  */
 function checkRateMeterThenProcessValidatedRequest(referrer, requestParts, serverURLInfo, request, response) {
-    var statusCode = 200;
-    if (rateMeter != null) {
-        rateMeter.isUnderRate(referrer, serverURLInfo).then(function (isUnderCap) {
-            if (isUnderCap) {
+    var statusCode = 200,
+        clientAddress = getClientIPAddress(request);
+
+    if (rateMeter != null && isRateLimitExempt(request, clientAddress)) {
+        // counted in the totals, but never held back
+        request.accessLog.rateLimit = 'exempt';
+        rateMeter.countExempt(referrer, serverURLInfo).catch(function (error) {
+            QuickLogger.logErrorEvent(Configuration.getStringTableEntry('RateMeter failed on', {url: serverURLInfo.url, referrer: referrer, error: error.toString()}));
+        });
+        processValidatedRequest(requestParts, serverURLInfo, referrer, request, response);
+    } else if (rateMeter != null) {
+        rateMeter.checkRate(referrer, serverURLInfo, clientAddress).then(function (rateStatus) {
+            if ( ! rateStatus.isUnderRate && serverURLInfo.rateExceededAction == 'queue' && rateQueue != null) {
+                // hold on to the request until the rate meter lets it through
+                request.accessLog.rateLimit = 'queued';
+                return rateQueue.waitForCapacity(serverURLInfo.url + ' ' + referrer + ' ' + clientAddress, serverURLInfo, rateStatus, function () {
+                    return rateMeter.checkRate(referrer, serverURLInfo, clientAddress, true);
+                }, response);
+            }
+            return rateStatus;
+        }).then(function (rateStatus) {
+            if (rateStatus == null) {
+                return; // the client disconnected while the request was queued
+            }
+            logQuotaWarnings(serverURLInfo, referrer, rateStatus);
+            setRateLimitHeaders(response, rateStatus);
+            if (rateStatus.isUnderRate) {
+                request.accessLog.rateLimit = request.accessLog.rateLimit || 'allowed';
                 processValidatedRequest(requestParts, serverURLInfo, referrer, request, response);
             } else {
                 statusCode = 429; // TODO: or is it 402? or 420?
+                request.accessLog.rateLimit = 'rejected';
+                response.setHeader('Retry-After', rateStatus.retryAfter);
                 QuickLogger.logWarnEvent(Configuration.getStringTableEntry('RateMeter blocking access to', {url: serverURLInfo.url, referrer: referrer}));
                 sendErrorResponse(request.url, response, statusCode, Configuration.getStringTableEntry('Metered requests exceeded', null));
             }
         }, function (error) {
             statusCode = 420;
+            request.accessLog.rateLimit = 'error';
             QuickLogger.logErrorEvent(Configuration.getStringTableEntry('RateMeter failed on', {url: serverURLInfo.url, referrer: referrer, error: error.toString()}));
             sendErrorResponse(request.url, response, statusCode, Configuration.getStringTableEntry('Metered resource status failed', null));
         });
@@ -782,18 +1387,81 @@ function checkRateMeterThenProcessValidatedRequest(referrer, requestParts, serve
     return statusCode;
 }
 
+/**
+ * Determine if a request is exempt from rate limits because its referrer is one of the rateLimitExemptReferrers or
+ * its client address is in the rateLimitExemptAddresses.
+ * @param request {IncomingMessage} the request, for its referrer.
+ * @param clientAddress {string} the IP address of the client.
+ * @returns {boolean}
+ */
+function isRateLimitExempt(request, clientAddress) {
+    if (configuration.rateLimitExemptAddresses != null && ProjectUtilities.isAddressInList(configuration.rateLimitExemptAddresses, clientAddress)) {
+        return true;
+    }
+    return configuration.rateLimitExemptReferrers.length > 0 && UrlFlexParser.findReferrerInList(request.headers['referer'], configuration.rateLimitExemptReferrers).referrer != null;
+}
+
+/**
+ * Log a warning for each quota a request brought up to one of its warning thresholds.
+ * @param serverURLInfo {object} the serverUrl the request was counted against.
+ * @param referrer {string} the referrer the request was counted for.
+ * @param rateStatus {object} the rate status from the rate meter, quotaWarnings lists the thresholds reached.
+ */
+function logQuotaWarnings(serverURLInfo, referrer, rateStatus) {
+    (rateStatus.quotaWarnings || []).forEach(function (quotaWarning) {
+        QuickLogger.logWarnEvent(Configuration.getStringTableEntry('Quota warning', {
+            url: serverURLInfo.url,
+            referrer: referrer,
+            period: Configuration.getStringTableEntry('Quota period ' + quotaWarning.period, null),
+            quota: quotaWarning.quota,
+            used: quotaWarning.used,
+            threshold: quotaWarning.threshold
+        }));
+    });
+}
+
+/**
+ * Get the id of a request: its X-Request-Id header when the client sent one we can use, otherwise a new one.
+ * @param request {object} the http request object.
+ * @returns {string} the request id.
+ */
+function getRequestId(request) {
+    var requestId = request.headers['x-request-id'];
+
+    if (typeof requestId === 'string' && requestIdPattern.test(requestId)) {
+        return requestId;
+    }
+    return crypto.randomUUID();
+}
+
 /**
  * When the server receives a request we come here with the node http/https request object and
- * we fill in the response object.
+ * we fill in the response object. The request gets an id, sent on to the service and back to the client in the
+ * X-Request-Id header, which starts every message logged while the request is handled.
  * @param request
  * @param response
  */
 function processRequest(request, response) {
+    request.requestId = getRequestId(request);
+    request.headers['x-request-id'] = request.requestId;
+    response.setHeader('X-Request-Id', request.requestId);
+    QuickLogger.runWithRequestId(request.requestId, function () {
+        handleRequest(request, response);
+    });
+}
+
+/**
+ * Handle a request once it has an id.
+ * @param request
+ * @param response
+ */
+function handleRequest(request, response) {
     var requestParts = UrlFlexParser.parseURLRequest(request.url, configuration.listenURI),
         serverURLInfo,
         referrer;
 
     attemptedRequests ++;
+    request.accessLog = accessLog != null ? accessLog.startRecord(request, response, getClientIPAddress(request)) : {};
     if (requestParts != null) {
         referrer = request.headers['referer'];
         if (referrer == null || referrer.length < 1) {
@@ -815,6 +1483,7 @@ function processRequest(request, response) {
                     serverURLInfo = getServerUrlInfo(requestParts);
                     if (serverURLInfo != null) {
                         request.serverUrlInfo = serverURLInfo;
+                        request.accessLog.serverUrl = serverURLInfo.url;
                         if (serverURLInfo.useRateMeter) {
                             checkRateMeterThenProcessValidatedRequest(referrer, requestParts, serverURLInfo, request, response);
                         } else {
@@ -859,6 +1528,10 @@ function proxyResponseError(error, proxyRequest, proxyResponse, proxyTarget) {
         proxyResponse.status = 502;
     }
     QuickLogger.logErrorEvent(Configuration.getStringTableEntry('proxyResponseError caught error', {code: error.code, description: error.description, target: proxyTarget, status: proxyResponse.status}));
+    if (proxyResponse.headersSent) {
+        // we already replied, such as when we aborted an upload that was too large.
+        return;
+    }
     sendErrorResponse(proxyRequest.url, proxyResponse, proxyResponse.status, Configuration.getStringTableEntry('Proxy request error', {code: error.code, description: error.description}));
 }
 
@@ -880,6 +1553,9 @@ function proxyErrorHandler(proxyError, proxyRequest, proxyResponse) {
  * @param options {object}
  */
 function proxyRequestRewrite(proxyReq, proxyRequest, proxyResponse, options) {
+    // hold on to the request to the service in case we have to abort it, such as when an upload is too large.
+    proxyRequest.proxyClientRequest = proxyReq;
+    proxyRequest.upstreamRequestTime = new Date();
     QuickLogger.logInfoEvent(Configuration.getStringTableEntry('proxyRequestRewrite alter request before service', null));
 }
 
@@ -895,19 +1571,24 @@ function proxyRequestRewrite(proxyReq, proxyRequest, proxyResponse, options) {
 function proxyResponseRewrite(serviceResponse, proxyRequest, proxyResponse) {
     QuickLogger.logInfoEvent("proxyResponseRewrite opportunity to alter response before writing it.");
     var serverUrlInfo = proxyRequest.serverUrlInfo || {mayRequireToken: false};
+    if (proxyRequest.upstreamRequestTime !== undefined) {
+        proxyRequest.accessLog.upstreamLatency = (proxyRequest.accessLog.upstreamLatency || 0) + (new Date() - proxyRequest.upstreamRequestTime);
+    }
     if (serviceResponse.headers['content-type'] !== undefined) {
         var lookFor = 'application/vnd.ogc.wms_xml';
         var replaceWith = 'text/xml';
         serviceResponse.headers['content-type'] = serviceResponse.headers['content-type'].replace(lookFor, replaceWith);
     }
-    if (serverUrlInfo.mayRequireToken) {
-        // TODO: See if we got error 498/499. if so we need to generate a token. To do this we need to review the server reply and see if it failed because of a bad/missing token
-        checkServerResponseForMissingToken(proxyResponse, serviceResponse.headers['content-encoding'], function (body) {
+    if ((serverUrlInfo.isUserLogin || serverUrlInfo.isAppLogin) && ! proxyRequest.isTokenRetry && canRetryRequest(proxyRequest)) {
+        // See if we got error 403/498/499. If so we need to generate a token and try again. To do this we need to review
+        // the server reply and see if it failed because of a bad/missing token.
+        checkServerResponseForMissingToken(proxyRequest, proxyResponse, serviceResponse.headers['content-encoding'], function (body) {
             var errorCode,
                 newTokenIsRequired = false;
 
+            // body is an error envelope such as "{"error":{"code":498,"message":"Invalid token.","details":[]}}", see if we need a new token
             if (body) {
-                var errorCode = body.error.code;
+                errorCode = ProjectUtilities.findNumberAfterTokenInString(body, 'code');
                 if (errorCode == 403 || errorCode == 498 || errorCode == 499) {
                     newTokenIsRequired = true;
                 }
@@ -979,61 +1660,74 @@ function isContentTypeJSON(contentType) {
 /**
  * For the serverURLs that we manage credentials for, monitor the server responses to see if we can tell if
  * the server has sent us a refreshed token or the server decided to deny us access because of failed
- * token. In those cases we can correct the situation by getting a new token and trying again.
+ * token. In those cases we can correct the situation by getting a new token and trying again. The response is held
+ * back only while it may be an ArcGIS error envelope, otherwise the service bytes are passed through untouched.
+ * @param proxyRequest - the original request, we need it if we have to issue the request again.
  * @param proxyResponse - monitor the response from the proxied server.
- * @param contentType - we need to know the content type of the response so we know how to look at it.
+ * @param contentEncoding - we need to know the content encoding of the response so we know how to look at it.
  * @param checkForMissingToken - a function we can call to find the token in the response body.
  */
-function checkServerResponseForMissingToken(proxyResponse, contentType, checkForMissingToken) {
-    var buffer = new BufferHelper(),
-        tokenIsMissing = false,
-        responseWrite = proxyResponse.write,
-        responseEnd = proxyResponse.end,
-        encoding;
-
-    // TODO: Content type can be deflate and gzip we need to handle both of those.
-
-    // Rewrite response method and get the content body.
-    proxyResponse.write = function (data) {
-        buffer.concat(data);
-        // TODO: Make sure buffer does not grow to large. We should have a threshold.
-    };
-
-    proxyResponse.end = function () {
-        // TODO: I really don't like this. We are going to parse the entire response to see if we receive the specific error we
-        // are looking for. if it is an error this is pretty small, but if its not an error we could be parsing a rather monstrous amount of json! only to convert it back to string!
-        // Maybe better to regex match '{"error":{"code":500' => '\"error\":[\s]*{[\s]*\"code\":[\s]*[\d]*'
-        // check content-type make sure it is text or json
-        // check content size make sure it is reasonable
-        var body = '',
-            decodedBody;
-        try {
-            encoding = (proxyResponse._headers['content-encoding'] || 'utf8').toLowerCase();
-            if (buffer.length > 0) {
-                body = buffer.toBuffer().toString();
-                if (encoding == 'deflate') {
-                    decodedBody = zlib.deflateSync(buffer);
-                } else if (encoding == 'gzip') {
-                    decodedBody = zlib.gunzipSync(buffer);
-                } else {
-                    decodedBody = body;
-                }
-                tokenIsMissing = checkForMissingToken(decodedBody);
+function checkServerResponseForMissingToken(proxyRequest, proxyResponse, contentEncoding, checkForMissingToken) {
+    var responseInspector = ResponseInspector(proxyResponse, contentEncoding, configuration.maxInspectSize);
+
+    responseInspector.inspect().then(function(errorBody) {
+        if (errorBody != null) {
+            if (checkForMissingToken(errorBody)) {
+                // discard this response, get a new token from the token generator and retry the request with the new token.
+                responseInspector.discard();
+                retryRequestWithNewToken(proxyRequest, proxyResponse);
+            } else {
+                responseInspector.forward();
             }
-        } catch (e) {
-            console.log('JSON.parse error:', e.message);
-            console.log('JSON.parse error from: ' + decodedBody || body);
         }
-        if ( ! tokenIsMissing) {
-            // Call the response method
-            responseWrite.call(proxyResponse, body);
-            responseEnd.call(proxyResponse);
-        } else {
-            // TODO: discard this response. get a new token from the token generator. retry the request with the new token. Send back the new response instead.
-            responseWrite.call(proxyResponse, Configuration.getStringTableEntry('Could not generate a new token', null));
-            responseEnd.call(proxyResponse);
+    });
+}
+
+/**
+ * The service rejected our token (or we did not have one) so get a new token using the credentials configured
+ * for the matching serverUrl and issue the original request again with it. The response to the retried request
+ * is streamed back to the client. A request is only retried once, if the new token is rejected as well the
+ * service response is passed through to the client.
+ * @param proxyRequest {IncomingMessage} the original request, already rewritten to target the proxied service.
+ * @param proxyResponse {ServerResponse} response object to the client. Nothing has been sent to the client yet.
+ */
+function retryRequestWithNewToken(proxyRequest, proxyResponse) {
+    var serverURLInfo = proxyRequest.serverUrlInfo,
+        proxyTarget = proxyRequest.url,
+        rejectedToken = getRequestToken(proxyRequest, proxyTarget),
+        proxyHeaders;
+
+    proxyRequest.isTokenRetry = true;
+    // throw away the headers of the failed response, the retried response sets its own. Keep the ones the proxy set.
+    proxyHeaders = proxyResponseHeaders.filter(function(headerName) {
+        return proxyResponse.hasHeader(headerName);
+    }).map(function(headerName) {
+        return [headerName, proxyResponse.getHeader(headerName)];
+    });
+    proxyResponse.getHeaderNames().forEach(function(headerName) {
+        proxyResponse.removeHeader(headerName);
+    });
+    proxyHeaders.forEach(function(proxyHeader) {
+        proxyResponse.setHeader(proxyHeader[0], proxyHeader[1]);
+    });
+    QuickLogger.logInfoEvent(Configuration.getStringTableEntry('Retrying request with new token', {url: serverURLInfo.url}));
+    // only discard the cached token if it is the one the service rejected, another request may have already replaced it.
+    if (rejectedToken != null) {
+        tokenCache.invalidate(serverURLInfo, proxyRequest.validatedReferrer, rejectedToken);
+    }
+    getTokenForServerUrl(serverURLInfo, proxyTarget, proxyRequest.validatedReferrer).then(
+        function(token) {
+            proxyTarget = setRequestToken(proxyRequest, proxyTarget, token);
+            proxyRequest.url = proxyTarget;
+            proxyRequest.accessLog.tokenRefreshed = true;
+            proxyRequest.accessLog.target = UrlFlexParser.removeParameterFromURL(proxyTarget, 'token');
+            proxyServer.web(proxyRequest, proxyResponse, getProxyOptions(proxyRequest, proxyResponse, proxyTarget), proxyResponseError);
+        },
+        function(error) {
+            QuickLogger.logErrorEvent(Configuration.getStringTableEntry('Token refresh failed', {url: serverURLInfo.url, error: error.message}));
+            sendErrorResponse(proxyRequest.url, proxyResponse, 502, Configuration.getStringTableEntry('Could not generate a new token', null));
         }
-    };
+    );
 }
 
 /**
@@ -1052,16 +1746,22 @@ function startServer () {
         QuickLogger.logInfoEvent("Starting proxy version " + proxyVersion + " running on " + hostName + " via " + (configuration.useHTTPS ? 'HTTPS' : 'HTTP') + " server on port " + configuration.port + " -- " + serverStartTime.toLocaleString());
 
         // The RateMeter depends on the configuration.serverUrls being valid.
-        rateMeter = RateMeter(configuration.serverUrls, configuration.allowedReferrers, QuickLogger.logErrorEvent.bind(QuickLogger));
+        rateMeter = RateMeter(configuration.serverUrls, configuration.allowedReferrers, QuickLogger.logErrorEvent.bind(QuickLogger), configuration.rateMeterDatabase);
         rateMeter.start();
+        tokenCache = TokenCache(null, QuickLogger.logInfoEvent.bind(QuickLogger));
+        rateQueue = RateQueue(QuickLogger.logInfoEvent.bind(QuickLogger));
+        concurrencyLimiter = ConcurrencyLimiter(QuickLogger.logInfoEvent.bind(QuickLogger));
+        if (configuration.accessLogFile != null) {
+            accessLog = AccessLog(path.resolve(configuration.logFilePath || '.', configuration.accessLogFile), QuickLogger.logErrorEvent.bind(QuickLogger));
+        }
 
         // If we are to run an https server we need to load the certificate and the key
         if (configuration.useHTTPS) {
-            if (configuration.httpsPfxFile !== undefined) {
+            if (configuration.httpsPfxFile != null) {
                 httpsOptions = {
                     pfx: fs.readFileSync(configuration.httpsPfxFile)
                 };
-            } else if (configuration.httpsKeyFile !== undefined && configuration.httpsCertificateFile !== undefined) {
+            } else if (configuration.httpsKeyFile != null && configuration.httpsCertificateFile != null) {
                 httpsOptions = {
                     key: fs.readFileSync(configuration.httpsKeyFile),
                     cert: fs.readFileSync(configuration.httpsCertificateFile)
@@ -1098,6 +1798,7 @@ function startServer () {
                 }
                 QuickLogger.logInfoEvent(Configuration.getStringTableEntry('Integration tests complete starting server', null));
             }
+            configurationComplete = true; // integration tests queued from now on run right away
 
             // Begin listening for client connections
             try {
@@ -1138,10 +1839,21 @@ function cannotListen(reason) {
  */
 function exitHandler (options, error) {
     QuickLogger.logEventImmediately(QuickLogger.LOGLEVEL.INFO.value, Configuration.getStringTableEntry('Stopping server via', {reason: options.reason}));
+    if (rateQueue != null) {
+        rateQueue.clear();
+        rateQueue = null;
+    }
+    if (concurrencyLimiter != null) {
+        concurrencyLimiter.clear();
+        concurrencyLimiter = null;
+    }
     if (rateMeter != null) {
         rateMeter.stop();
         rateMeter = null;
     }
+    if ( ! ProxyCluster.isWorker()) {
+        ProxyCluster.stopWorkers();
+    }
     if (error) {
         console.log(error.stack);
     }
@@ -1163,16 +1875,20 @@ function configProcessHandlers(process) {
     // Set handler for app shutdown event
     process.on('exit', exitHandler.bind(null, {reason: "normal exit"}));
     process.on('SIGINT', exitHandler.bind(null, {exit: true, reason: "app terminated via SIGINT"}));
+    process.on('SIGTERM', exitHandler.bind(null, {exit: true, reason: "app terminated via SIGTERM"}));
     process.on('uncaughtException', exitHandler.bind(null, {exit: true, reason: "uncaught exception"}));
 }
 
 /**
  * Run any tests that require our server is up and running. Waits for the server to be up and running
  * before scheduling the tests. These tests are here because the functions were not exported and not
- * accessible to the unit/integration test object.
+ * accessible to the unit/integration test object. In test mode startServer() runs them and keeps the
+ * server running, so they are not run again here once it has.
  */
 function runIntegrationTests() {
-    if (configurationComplete) {
+    if (configurationComplete && Configuration.isTestMode()) {
+        return;
+    } else if (configurationComplete) {
         __runIntegrationTests();
         QuickLogger.logInfoEvent(Configuration.getStringTableEntry('Integration tests complete runIntegrationTests', null));
         process.exit();
@@ -1187,6 +1903,10 @@ function __runIntegrationTests() {
         result,
         serverUrlInfo,
         urlParts,
+        request,
+        response,
+        uploadStream,
+        maxUploadSize,
         token;
 
     waitingToRunIntegrationTests = false;
@@ -1292,6 +2012,49 @@ function __runIntegrationTests() {
     result = isContentTypeJSON(testStr);
     console.log('isContentTypeJSON ' + testStr + ' result=' + (result ? 'true' : 'false'));
 
+    testStr = 'http://localhost/arcgis/rest/services/World/MapServer/query';
+    request = {method: 'POST', headers: {'content-type': 'application/x-www-form-urlencoded', 'content-length': '27', 'transfer-encoding': 'chunked'}, proxyBody: 'f=json&where=name%3D%27%C3%A9%27'};
+    targetStr = setRequestToken(request, testStr, 'abc123');
+    console.log('setRequestToken form body url=' + targetStr + ' result=' + request.proxyBody);
+    targetStr = setRequestToken(request, testStr, 'def456');
+    console.log('setRequestToken form body replacing token result=' + request.proxyBody);
+    result = getProxyOptions(request, null, targetStr);
+    console.log('getProxyOptions form body content-length=' + request.headers['content-length'] + ' transfer-encoding=' + request.headers['transfer-encoding'] + ' result=' + (request.headers['content-length'] == Buffer.byteLength(request.proxyBody) && result.buffer != null));
+
+    ['multipart/form-data; boundary=----WebKitFormBoundary7MA4YWxkTrZu0gW', 'multipart/form-data; boundary="a b:c"; charset=utf-8', 'multipart/form-data'].forEach(function(contentType) {
+        console.log('getMultipartBoundary ' + contentType + ' result=' + getMultipartBoundary(contentType));
+    });
+    result = buildMultipartField('----WebKitFormBoundary7MA4YWxkTrZu0gW', 'token', 'abc123');
+    console.log('buildMultipartField result=' + JSON.stringify(result));
+
+    // uploads over maxUploadSize are cut off with a 413. The chunks are handed over directly so the results are known
+    // before the integration tests end the process.
+    maxUploadSize = configuration.maxUploadSize;
+    configuration.maxUploadSize = 10;
+    request = new stream.PassThrough();
+    request.url = '/proxy/http://localhost/arcgis/rest/services/World/GPServer/uploads/upload';
+    request.method = 'POST';
+    request.headers = {};
+    request.accessLog = {};
+    response = new http.ServerResponse(request);
+    uploadStream = createUploadStream(request, response, 'prefix:');
+    uploadStream.write('12345');
+    uploadStream.write('678901234');
+    result = uploadStream.read();
+    console.log('createUploadStream over maxUploadSize status=' + response.statusCode + ' connection=' + response.getHeader('Connection') + ' bytesIn=' + request.accessLog.bytesIn + ' result=' + (result != null ? result.toString() : null));
+
+    request = new stream.PassThrough();
+    request.accessLog = {};
+    readRequestBody(request).then(function(body) {
+        console.log('readRequestBody over maxUploadSize result=' + body.toString());
+    }, function(error) {
+        console.log('readRequestBody over maxUploadSize isUploadTooLarge=' + error.isUploadTooLarge + ' result=' + error.message);
+    });
+    request.emit('data', Buffer.from('12345'));
+    request.emit('data', Buffer.from('678901234'));
+    console.log('readRequestBody over maxUploadSize stopped reading result=' + (request.listenerCount('data') == 0));
+    configuration.maxUploadSize = maxUploadSize;
+
     targetStr = 'Loading configuration from';
     testStr = 'this is a test file name';
     result = Configuration.getStringTableEntry(targetStr, testStr); // known regression for non-object parameter
@@ -1332,7 +2095,7 @@ function __runIntegrationTests() {
     token = null;
     getNewTokenFromUserNamePasswordLogin(testStr, serverUrlInfo).then(
         function(tokenResponse) {
-            token = tokenResponse;
+            token = tokenResponse.token;
             console.log('getNewTokenFromUserNamePasswordLogin got ' + token);
         },
         function(error) {
@@ -1343,7 +2106,7 @@ function __runIntegrationTests() {
     if (token !== null) {
         exchangePortalTokenForServerToken(token, serverURLInfo).then(
             function (tokenResponse) {
-                token = tokenResponse;
+                token = tokenResponse.token;
                 console.log('exchangePortalTokenForServerToken got ' + token);
             },
             function (error) {
@@ -1364,9 +2127,141 @@ function __runIntegrationTests() {
     console.log("TTTTT Completed ProxyJS integration tests ");
 }
 
+/**
+ * The configuration file was reloaded while we are running. The configuration object already has the new serverUrls,
+ * allowedReferrers and listenURI, bring everything that keeps its own copy up to date.
+ * @param newConfiguration {object} the configuration we are now running with.
+ */
+function configurationChanged(newConfiguration) {
+    UrlFlexParser.setConfiguration(newConfiguration);
+    if (rateMeter != null) {
+        rateMeter.refreshUrlTable(newConfiguration.serverUrls, newConfiguration.allowedReferrers);
+    }
+    if (tokenCache != null) {
+        // credentials may have changed, do not keep using tokens obtained with the old ones.
+        tokenCache.clear();
+    }
+}
+
+/**
+ * Only check the configuration, do not start the server. Every problem found is written to stdout as a JSON list of
+ * {severity, setting, message}, and the process exits with 1 if any of them is an error.
+ * @param configFile {string} the configuration file to check, empty for the default file.
+ */
+function validateConfigurationOnly(configFile) {
+    Configuration.validateConfigurationFile(configFile).then(function(problems) {
+        var hasErrors = problems.some(function(problem) {
+            return problem.severity == 'error';
+        });
+        console.log(JSON.stringify(problems, null, 2));
+        process.exit(hasErrors ? 1 : 0);
+    }, function(error) {
+        console.log(JSON.stringify([{severity: 'error', setting: 'file', message: error.message}], null, 2));
+        process.exit(1);
+    });
+}
+
+/**
+ * Only reset the rate meter, do not start the server: every rate limit counter and total is removed from the rate
+ * meter database given in the configuration. The proxy should not be running, or it keeps counting in the meantime.
+ * @param configFile {string} the configuration file to load, empty for the default file.
+ */
+function resetRateMeterOnly(configFile) {
+    Configuration.loadConfigurationFile(configFile, null).then(function() {
+        var resetMeter = RateMeter(configuration.serverUrls, configuration.allowedReferrers, QuickLogger.logErrorEvent.bind(QuickLogger), configuration.rateMeterDatabase);
+
+        resetMeter.start();
+        return resetMeter.reset().then(function() {
+            resetMeter.stop();
+            console.log(Configuration.getStringTableEntry('Rate meter reset', null));
+            process.exit(0);
+        });
+    }).catch(function(error) {
+        console.log(Configuration.getStringTableEntry('Rate meter reset failed', {reason: error.message}));
+        process.exit(1);
+    });
+}
+
+/**
+ * Once the configuration is loaded, run the server in this process, or in cluster mode start the workers that run
+ * it. The workers load the configuration themselves and watch it for changes, we only pass SIGHUP on to them. The log
+ * file is rotated by this process only, also when we receive SIGUSR2.
+ */
+function startServerOrWorkers() {
+    process.on('SIGUSR2', rotateLogFile);
+    if (configuration.workers > 1) {
+        QuickLogger.startLogRotation(ProxyCluster.reopenWorkerLogFiles.bind(ProxyCluster));
+        QuickLogger.logInfoEvent(Configuration.getStringTableEntry('Starting cluster workers', {workers: configuration.workers}));
+        process.on('SIGHUP', function () {
+            ProxyCluster.signalWorkers('SIGHUP');
+        });
+        ProxyCluster.startWorkers(configuration.workers, function (pid, code, signal) {
+            QuickLogger.logErrorEvent(Configuration.getStringTableEntry('Worker exited', {pid: pid, reason: signal || code}));
+        });
+    } else {
+        QuickLogger.startLogRotation(reopenAccessLog);
+        Configuration.watchForConfigurationChanges(configurationChanged);
+        startServer();
+    }
+}
+
+/**
+ * Rotate the log file now, such as when an external log rotation asks for it.
+ */
+function rotateLogFile() {
+    QuickLogger.rotateLogFile().then(function (isRotated) {
+        if (isRotated) {
+            QuickLogger.logInfoEvent(Configuration.getStringTableEntry('Log file rotated', null));
+        }
+    });
+}
+
+/**
+ * Start writing to a new access log file once the log files were rotated, a log rotation may have renamed it.
+ * @returns {Promise} resolves once the access log is reopened.
+ */
+function reopenAccessLog() {
+    return accessLog != null ? accessLog.reopen() : Promise.resolve();
+}
+
+/**
+ * Reopen the log file and the access log after the primary process rotated the log files.
+ * @returns {Promise} resolves once both are reopened.
+ */
+function reopenWorkerLogFiles() {
+    return Promise.all([QuickLogger.reopenLogFile(), reopenAccessLog()]);
+}
+
+/**
+ * Act on the command line: show the version or the usage, check the configuration, or load it and start the server.
+ */
 function loadConfigThenStart() {
-    configProcessHandlers(process);
-    Configuration.loadConfigurationFile('').then(startServer, cannotStartServer);
+    var commandLineOptions = Configuration.getCommandLineOptions();
+
+    if (commandLineOptions.errors.length > 0) {
+        commandLineOptions.errors.forEach(function(error) {
+            console.log(error);
+        });
+        console.log(Configuration.getStringTableEntry('Command line usage', null));
+        process.exit(1);
+    } else if (commandLineOptions.showHelp) {
+        console.log(Configuration.getStringTableEntry('Command line usage', null));
+        process.exit(0);
+    } else if (commandLineOptions.showVersion) {
+        console.log(proxyVersion);
+        process.exit(0);
+    } else if (commandLineOptions.validateOnly) {
+        validateConfigurationOnly(commandLineOptions.configFile);
+    } else if (commandLineOptions.resetRateMeter) {
+        resetRateMeterOnly(commandLineOptions.configFile);
+    } else if (ProxyCluster.isWorker()) {
+        configProcessHandlers(process);
+        ProxyCluster.answerPrimaryRequests(getLocalStatistics, reopenWorkerLogFiles);
+        Configuration.loadConfigurationFile(commandLineOptions.configFile, configurationChanged).then(startServer, cannotStartServer);
+    } else {
+        configProcessHandlers(process);
+        Configuration.loadConfigurationFile(commandLineOptions.configFile, null).then(startServerOrWorkers, cannotStartServer);
+    }
 }
 
 exports.ArcGISProxyIntegrationTest = runIntegrationTests;
@@ -5,13 +5,141 @@
 const QuickLogger = require('./QuickLogger');
 const ProjectUtilities = require('./ProjectUtilities');
 const UrlFlexParser = require('./UrlFlexParser');
+const TokenCache = require('./TokenCache');
+const RateMeter = require('./RateMeter');
+const ResponseInspector = require('./ResponseInspector');
+const RateQueue = require('./RateQueue');
+const ConcurrencyLimiter = require('./ConcurrencyLimiter');
+const Configuration = require('./Configuration');
+const SchemaValidator = require('./SchemaValidator');
+const ProxyCluster = require('./ProxyCluster');
+const SecretRedactor = require('./SecretRedactor');
+const zlib = require('zlib');
+const EventEmitter = require('events');
 const ProxyJS = require('./proxy');
 
 
+/**
+ * Run a response body through a ResponseInspector attached to a stand-in for the client response, and log whether
+ * the body was held back as an error envelope and whether the client received the original bytes.
+ * @param label {string} describes the test.
+ * @param contentEncoding {string} Content-Encoding of the body.
+ * @param body {Buffer} the encoded body, it is written in two parts.
+ * @param maxInspectSize {number} inspection threshold.
+ */
+function testResponseInspector(label, contentEncoding, body, maxInspectSize) {
+    var clientData = [],
+        clientResponse = {
+            write: function(data) {
+                clientData.push(data);
+                return true;
+            },
+            end: function() {
+                console.log('ResponseInspector ' + label + ' forwarded original bytes=' + Buffer.concat(clientData).equals(body));
+            }
+        },
+        responseInspector = ResponseInspector(clientResponse, contentEncoding, maxInspectSize),
+        half = Math.floor(body.length / 2);
+
+    responseInspector.inspect().then(function(errorBody) {
+        console.log('ResponseInspector ' + label + ' result=' + errorBody);
+        if (errorBody != null) {
+            responseInspector.forward();
+        }
+    });
+    clientResponse.write(body.slice(0, half));
+    clientResponse.write(body.slice(half));
+    clientResponse.end();
+}
+
+/**
+ * Log in once for concurrent token requests, and log in again only after the cached token is the one invalidated.
+ * Runs on its own variables because the token requests resolve after the rest of the unit tests have run.
+ */
+function testTokenCache() {
+    var tokenCache = TokenCache(60, null),
+        tokenServerUrl = {url: 'route.arcgis.com', isUserLogin: false},
+        loginCount = 0,
+        fetchToken = function() {
+            loginCount ++;
+            return Promise.resolve({token: 'token' + loginCount, expires: Date.now() + 3600000});
+        };
+
+    Promise.all([tokenCache.getToken(tokenServerUrl, '*', fetchToken), tokenCache.getToken(tokenServerUrl, '*', fetchToken)]).then(function(tokens) {
+        console.log('TokenCache.getToken concurrent requests result=' + tokens.join(',') + ' logins=' + loginCount);
+        tokenCache.invalidate(tokenServerUrl, '*', 'not-the-cached-token');
+        return tokenCache.getToken(tokenServerUrl, '*', fetchToken);
+    }).then(function(token) {
+        console.log('TokenCache.getToken after invalidating another token result=' + token + ' logins=' + loginCount);
+        tokenCache.invalidate(tokenServerUrl, '*', token);
+        return tokenCache.getToken(tokenServerUrl, '*', fetchToken);
+    }).then(function(token) {
+        console.log('TokenCache.getToken after invalidating cached token result=' + token + ' logins=' + loginCount);
+    });
+}
+
+/**
+ * Send requests one after the other through a RateMeter and log which were allowed (+) and which were turned
+ * down (-), and whether the last one was told to retry later.
+ * @param label {string} describes the test.
+ * @param rateMeter {object} a started RateMeter.
+ * @param serverUrl {object} the serverUrls entry the requests are metered against.
+ * @param clientAddresses {Array} the client IP address of each request.
+ * @returns {Promise} resolves once every request was metered.
+ */
+function testRateMeter(label, rateMeter, serverUrl, clientAddresses) {
+    var allowed = '',
+        lastRateStatus = null;
+
+    return clientAddresses.reduce(function(previousRequest, clientAddress) {
+        return previousRequest.then(function() {
+            return rateMeter.checkRate('*', serverUrl, clientAddress);
+        }).then(function(rateStatus) {
+            allowed += rateStatus.isUnderRate ? '+' : '-';
+            lastRateStatus = rateStatus;
+        });
+    }, Promise.resolve()).then(function() {
+        console.log('RateMeter.checkRate ' + label + ' result=' + allowed + ' retryAfter=' + (lastRateStatus.retryAfter > 0));
+    });
+}
+
+/**
+ * Make a serverUrls entry metered by RateMeter, with the values Configuration works out for it.
+ * @param url {string}
+ * @param settings {object} rateLimitAlgorithm, rateLimitBy, rateLimit (per minute), rateLimitBurst and dailyQuota.
+ * @returns {object}
+ */
+function rateMeterServerUrl(url, settings) {
+    var rateLimit = settings.rateLimit || 0;
+
+    return {
+        url: url,
+        rateLimitAlgorithm: settings.rateLimitAlgorithm || 'fixedWindow',
+        rateLimitBy: settings.rateLimitBy || 'referrer',
+        rateLimit: rateLimit,
+        rateLimitPeriod: rateLimit > 0 ? 1 : 0,
+        rateLimitBurst: settings.rateLimitBurst || rateLimit,
+        rate: rateLimit / 60,
+        ratePeriodSeconds: rateLimit > 0 ? 60 : 0,
+        dailyQuota: settings.dailyQuota || 0,
+        monthlyQuota: 0,
+        quotaWarningThresholds: []
+    };
+}
+
 function unitTests () {
     var testStr,
         targetStr,
-        result;
+        result,
+        rateQueue,
+        queueServerUrl,
+        checkCount,
+        cancelQueue,
+        cancelCheckCount,
+        clientResponse,
+        concurrencyLimiter,
+        rateMeter,
+        meteredServerUrls;
 
     console.log('TTTTT Local unit tests start:');
 
@@ -348,11 +476,186 @@ function unitTests () {
     result = ProjectUtilities.isFileTypeJson(testStr);
     console.log('isFileTypeJson for ' + testStr + ' result=' + (result ? 'true' : 'false'));
 
-    console.log('TTTTT Local unit tests complete:');
+    testStr = 'https://route.arcgis.com/arcgis/rest/services/World/Route/NAServer/Route_World?f=json';
+    targetStr = 'token';
+    result = UrlFlexParser.setParameterInURL(testStr, targetStr, 'abc123');
+    console.log('setParameterInURL for ' + testStr + ' "' + targetStr + '" result=' + result);
 
-    if (ProxyJS && ProxyJS.ArcGISProxyIntegrationTest) {
-        ProxyJS.ArcGISProxyIntegrationTest(); // <== actually just queues the integration test: it cannot start until after the server is started.
-    }
+    testStr = 'https://route.arcgis.com/arcgis/rest/services/World/Route/NAServer/Route_World?token=expired&f=json';
+    targetStr = 'token';
+    result = UrlFlexParser.setParameterInURL(testStr, targetStr, 'abc123');
+    console.log('setParameterInURL for ' + testStr + ' "' + targetStr + '" result=' + result);
+
+    testStr = 'https://route.arcgis.com/arcgis/rest/services/World/Route/NAServer/Route_World';
+    targetStr = 'token';
+    result = UrlFlexParser.setParameterInURL(testStr, targetStr, 'abc123');
+    console.log('setParameterInURL for ' + testStr + ' "' + targetStr + '" result=' + result);
+
+    testStr = 'https://route.arcgis.com/arcgis/rest/services/World/Route/NAServer/Route_World?token=abc123&f=json';
+    targetStr = 'token';
+    result = UrlFlexParser.getParameterFromURL(testStr, targetStr);
+    console.log('getParameterFromURL for ' + testStr + ' "' + targetStr + '" result=' + result);
+
+    testStr = 'https://route.arcgis.com/arcgis/rest/services/World/Route/NAServer/Route_World?access_token=abc123&f=json';
+    targetStr = 'token';
+    result = UrlFlexParser.getParameterFromURL(testStr, targetStr);
+    console.log('getParameterFromURL for ' + testStr + ' "' + targetStr + '" result=' + result);
+
+    testStr = 'https://route.arcgis.com/arcgis/rest/services/World/Route/NAServer/Route_World?token=abc123&f=json';
+    targetStr = 'token';
+    result = UrlFlexParser.removeParameterFromURL(testStr, targetStr);
+    console.log('removeParameterFromURL for ' + testStr + ' "' + targetStr + '" result=' + result);
+
+    testStr = 'https://route.arcgis.com/arcgis/rest/services/World/Route/NAServer/Route_World?token=abc123';
+    result = UrlFlexParser.removeParameterFromURL(testStr, targetStr);
+    console.log('removeParameterFromURL for ' + testStr + ' "' + targetStr + '" result=' + result);
+
+    testStr = {method: 'POST', body: 'f=json&where=1%3D1'};
+    targetStr = {query: 'where=2%3D2&token=abc123'};
+    result = UrlFlexParser.combineParameters(testStr, {query: 'f=pjson&outFields=*'}, targetStr, true);
+    console.log('combineParameters form body, request overrides config result=' + JSON.stringify(result));
+
+    result = UrlFlexParser.combineParameters(testStr, {query: 'f=pjson&outFields=*'}, targetStr, false);
+    console.log('combineParameters form body, config overrides request result=' + JSON.stringify(result));
+
+    testStr = 'Issuing proxy request https://example.com/sharing/rest/generateToken?username=user&Password=secret&f=json for {"client_secret": "abc\\"123", "refresh_token":"r1"} <serverUrl url="https://example.com" clientSecret="s3"/>';
+    result = SecretRedactor.redactText(testStr);
+    console.log('SecretRedactor.redactText for ' + testStr + ' result=' + result);
+
+    SecretRedactor.setSensitiveNames(['sig']);
+    targetStr = {url: 'https://example.com/file?sig=abc&f=json', password: 'pass', tokenInjected: true, rows: [{accessToken: 'T1', token: ''}]};
+    result = SecretRedactor.redactObject(targetStr);
+    console.log('SecretRedactor.redactObject for ' + JSON.stringify(targetStr) + ' result=' + JSON.stringify(result));
+    SecretRedactor.setSensitiveNames(null);
+
+    QuickLogger.runWithRequestId('req-1', function() {
+        return Promise.resolve().then(function() {
+            console.log('QuickLogger.addRequestId inside runWithRequestId result=' + QuickLogger.addRequestId('message'));
+        });
+    });
+    console.log('QuickLogger.addRequestId outside runWithRequestId result=' + QuickLogger.addRequestId('message'));
+
+    targetStr = [{protocol: 'https', hostname: '*.example.com', path: '*', referrer: 'https://*.example.com'}];
+    testStr = ['https://probe.example.com/status', 'http://probe.example.com/status', 'https://example.org/'];
+    result = testStr.map(function (referrer) {
+        return String(UrlFlexParser.findReferrerInList(referrer, targetStr).referrer);
+    });
+    console.log('findReferrerInList for ' + testStr.join(', ') + ' in https://*.example.com result=' + result.join(', '));
+
+    testStr = '::ffff:10.1.2.3';
+    result = ProjectUtilities.normalizeIPAddress(testStr);
+    console.log('normalizeIPAddress for ' + testStr + ' result=' + result);
+
+    testStr = '10.0.0.0/33';
+    result = ProjectUtilities.parseAddressRange(testStr);
+    console.log('parseAddressRange for ' + testStr + ' result=' + JSON.stringify(result));
+
+    targetStr = ProjectUtilities.createAddressList([ProjectUtilities.parseAddressRange('10.0.0.0/8'), ProjectUtilities.parseAddressRange('::1')]);
+    testStr = ['10.20.30.40', '::ffff:10.9.9.9', '11.0.0.1', '[::1]:3333', 'not an address'];
+    result = testStr.map(function (address) {
+        return ProjectUtilities.isAddressInList(targetStr, address);
+    });
+    console.log('isAddressInList for ' + testStr.join(', ') + ' in 10.0.0.0/8, ::1 result=' + result.join(', '));
+
+    testTokenCache();
+
+    rateQueue = RateQueue(null);
+    checkCount = 0;
+    queueServerUrl = {url: 'route.arcgis.com', maxQueueWait: 1, maxQueueLength: 1};
+    testStr = {isUnderRate: false, limit: 1, remaining: 0, reset: 0, retryAfter: 0};
+    rateQueue.waitForCapacity('route.arcgis.com * ', queueServerUrl, testStr, function() {
+        checkCount ++;
+        return Promise.resolve({isUnderRate: checkCount > 1, limit: 1, remaining: 0, reset: 0, retryAfter: 0});
+    }).then(function(rateStatus) {
+        console.log('RateQueue.waitForCapacity queued request result=' + rateStatus.isUnderRate + ' checks=' + checkCount + ' queued=' + rateQueue.getQueueLength(queueServerUrl.url));
+    });
+    rateQueue.waitForCapacity('route.arcgis.com * ', queueServerUrl, testStr, function() {
+        return Promise.resolve({isUnderRate: true});
+    }).then(function(rateStatus) {
+        console.log('RateQueue.waitForCapacity queue full result=' + rateStatus.isUnderRate + ' queued=' + rateQueue.getQueueLength(queueServerUrl.url));
+    });
+    cancelQueue = RateQueue(null);
+    cancelCheckCount = 0;
+    clientResponse = new EventEmitter();
+    cancelQueue.waitForCapacity('cancel.arcgis.com * ', {url: 'cancel.arcgis.com', maxQueueWait: 1, maxQueueLength: 1}, {isUnderRate: false, retryAfter: 0.1}, function() {
+        cancelCheckCount ++;
+        return Promise.resolve({isUnderRate: true});
+    }, clientResponse).then(function(rateStatus) {
+        console.log('RateQueue.waitForCapacity client disconnected result=' + rateStatus + ' checks=' + cancelCheckCount + ' queued=' + cancelQueue.getQueueLength('cancel.arcgis.com'));
+    });
+    clientResponse.emit('close');
+
+    concurrencyLimiter = ConcurrencyLimiter(null);
+    queueServerUrl = {url: 'route.arcgis.com', maxConcurrent: 2, maxConcurrentPerReferrer: 1, maxConcurrentWait: 0};
+    Promise.all(['a.com', 'a.com', 'b.com', 'c.com'].map(function(referrer) {
+        return concurrencyLimiter.acquire(queueServerUrl, referrer);
+    })).then(function(releaseSlots) {
+        console.log('ConcurrencyLimiter.acquire a.com, a.com, b.com, c.com result=' + releaseSlots.map(function(releaseSlot) { return releaseSlot != null; }).join(', ') + ' inFlight=' + JSON.stringify(concurrencyLimiter.getInFlight(queueServerUrl.url)));
+        releaseSlots[0]();
+        releaseSlots[0]();
+        console.log('ConcurrencyLimiter release twice inFlight=' + JSON.stringify(concurrencyLimiter.getInFlight(queueServerUrl.url)));
+    });
+
+    testStr = '{"error":{"code":498,"message":"Invalid token.","details":[]}}';
+    testResponseInspector('gzip error', 'gzip', zlib.gzipSync(testStr), 0);
+    testResponseInspector('deflate error', 'deflate', zlib.deflateSync(testStr), 0);
+    testResponseInspector('raw deflate error', 'deflate', zlib.deflateRawSync(testStr), 0);
+    testResponseInspector('brotli error', 'br', zlib.brotliCompressSync(testStr), 0);
+    testResponseInspector('gzip features', 'gzip', zlib.gzipSync('{"features":[{"attributes":{"OBJECTID":1,"NAME":"error"}}]}'), 0);
+    testResponseInspector('binary', null, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]), 0);
+    testResponseInspector('error over threshold', null, Buffer.from(testStr), 20);
+
+    testStr = {serverUrls: [{url: 'route.arcgis.com', rateLimit: '120', rateLimitPeriood: 1, matchAll: 'maybe'}]};
+    result = SchemaValidator.validate(testStr, require('../conf/config.schema.json'));
+    console.log('SchemaValidator.validate for ' + JSON.stringify(testStr) + ' result=' + JSON.stringify(result));
+
+    targetStr = ['rateLimit', 'rateLimitPeriod', 'matchAll'];
+    result = SchemaValidator.getClosestName('ratelimitperiod', targetStr);
+    console.log('SchemaValidator.getClosestName for ratelimitperiod result=' + result);
+
+    result = SchemaValidator.getClosestName('referrer', targetStr);
+    console.log('SchemaValidator.getClosestName for referrer result=' + result);
+
+    testStr = {pid: process.pid, requests: 3, processed: 2, rejected: 1, serverUrls: []};
+    ProxyCluster.getClusterStatistics(testStr).then(function(statistics) {
+        console.log('ProxyCluster.getClusterStatistics outside a cluster isWorker=' + ProxyCluster.isWorker() + ' result=' + JSON.stringify(statistics));
+    });
+
+    meteredServerUrls = [
+        rateMeterServerUrl('fixed.arcgis.com', {rateLimitAlgorithm: 'fixedWindow', rateLimit: 2}),
+        rateMeterServerUrl('log.arcgis.com', {rateLimitAlgorithm: 'slidingWindowLog', rateLimit: 2}),
+        rateMeterServerUrl('counter.arcgis.com', {rateLimitAlgorithm: 'slidingWindowCounter', rateLimit: 2}),
+        rateMeterServerUrl('bucket.arcgis.com', {rateLimitAlgorithm: 'tokenBucket', rateLimit: 2, rateLimitBurst: 3}),
+        rateMeterServerUrl('quota.arcgis.com', {dailyQuota: 2}),
+        rateMeterServerUrl('ip.arcgis.com', {rateLimitBy: 'ip', rateLimit: 1})
+    ];
+    rateMeter = RateMeter(meteredServerUrls, ['*'], console.log, ':memory:');
+    rateMeter.start();
+    testStr = ['127.0.0.1', '127.0.0.1', '127.0.0.1', '127.0.0.1'];
+    testRateMeter('fixedWindow', rateMeter, meteredServerUrls[0], testStr).then(function() {
+        return testRateMeter('slidingWindowLog', rateMeter, meteredServerUrls[1], testStr);
+    }).then(function() {
+        return testRateMeter('slidingWindowCounter', rateMeter, meteredServerUrls[2], testStr);
+    }).then(function() {
+        return testRateMeter('tokenBucket with burst', rateMeter, meteredServerUrls[3], testStr);
+    }).then(function() {
+        return testRateMeter('dailyQuota exhausted', rateMeter, meteredServerUrls[4], testStr);
+    }).then(function() {
+        return testRateMeter('rateLimitBy ip', rateMeter, meteredServerUrls[5], ['10.0.0.1', '10.0.0.1', '10.0.0.2', '10.0.0.2']);
+    }).then(function() {
+        rateMeter.stop();
+
+        // the integration tests end the process, so they are queued once the configuration file has been read
+        testStr = __dirname + '/../conf/config.xml';
+        return Configuration.validateConfigurationFile(testStr);
+    }).then(function(problems) {
+        console.log('validateConfigurationFile for ' + testStr + ' result=' + JSON.stringify(problems));
+        console.log('TTTTT Local unit tests complete:');
+
+        if (ProxyJS && ProxyJS.ArcGISProxyIntegrationTest) {
+            ProxyJS.ArcGISProxyIntegrationTest(); // <== actually just queues the integration test: it cannot start until after the server is started.
+        }
+    });
 }
 
 unitTests();